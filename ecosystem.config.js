@@ -1,14 +1,30 @@
 /**
  * PM2 生态系统配置文件
  * 用于生产环境部署和日志管理
+ *
+ * 运行方式跟随 .env 中的 STATE_STORE：
+ * - file / memory（默认）：单进程 fork 模式，状态只在本进程内有效
+ * - redis：集群模式，默认每个 CPU 核心一个 worker（PM2_INSTANCES 可指定数量），会话绑定、登录 Token、锁与限流计数通过 Redis 共享
+ * 滚动重启：pm2 reload ecosystem.config.js，集群模式下逐个替换 worker，会话不丢失
  */
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const clustered = process.env.STATE_STORE === 'redis';
+
 module.exports = {
   apps: [
     {
       name: 'moss-proxy',
       script: 'server.js',
-      instances: 1,
-      exec_mode: 'fork',
+      instances: clustered ? (process.env.PM2_INSTANCES || 'max') : 1,
+      exec_mode: clustered ? 'cluster' : 'fork',
+      // 新 worker 监听端口后（process.send('ready')）才继续替换下一个
+      wait_ready: true,
+      listen_timeout: 10000,
+      // 留足时间让进行中的请求（含流式输出）结束，服务端优雅停机最多等待 10 秒
+      kill_timeout: 12000,
       watch: false,
       max_memory_restart: '500M',
       env: {
@@ -0,0 +1,151 @@
+/**
+ * mock-upstream.js - 本地模拟 CodeMoss 上游
+ * 从 fixtures 目录回放登录、创建会话、补全（NDJSON）接口，用于离线调试与集成测试
+ *
+ * 用法：
+ *   node mock-upstream.js
+ *   MOSS_BASE_URL=http://127.0.0.1:9100/luomacode-api node server.js
+ *
+ * 环境变量：
+ *   MOCK_PORT          监听端口，默认 9100
+ *   MOCK_FIXTURES_DIR  fixture 目录，默认 ./fixtures/upstream（可直接使用 UPSTREAM_RECORD_DIR 录制的文件）
+ *   MOCK_TOKEN_TTL     签发 Token 的有效期（秒），默认 3600
+ *   MOCK_EVENT_DELAY_MS NDJSON 事件之间的间隔（毫秒），默认 20
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.MOCK_PORT) || 9100;
+const FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'upstream');
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL) || 3600;
+const EVENT_DELAY_MS = Number(process.env.MOCK_EVENT_DELAY_MS ?? 20);
+
+/**
+ * 加载 fixture，匹配条件越具体越优先：指定模型的先于只指定 prompt / 邮箱的，指定 prompt / 邮箱的先于只指定路径的
+ */
+const loadFixtures = () => {
+  const fixtures = fs.readdirSync(FIXTURES_DIR)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => ({ file: name, ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8')) }));
+  const specificity = (fixture) => (fixture.match?.model ? 4 : 0) + (fixture.match?.prompt || fixture.match?.email ? 2 : 0) + (fixture.match?.path ? 1 : 0);
+  return fixtures.sort((a, b) => specificity(b) - specificity(a));
+};
+
+const fixtures = loadFixtures();
+const issuedTokens = new Set();
+let conversationSeq = 100000;
+
+/**
+ * 签发 JWT 形式的 Token，exp 与真实上游一致以便验证代理的续期逻辑
+ */
+const issueToken = () => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const exp = Math.floor(Date.now() / 1000) + TOKEN_TTL;
+  const token = `${encode({ typ: 'jwt', alg: 'none' })}.${encode({ uid: 'mock', exp, n: issuedTokens.size + 1 })}.mock`;
+  issuedTokens.add(token);
+  return token;
+};
+
+/**
+ * 只认本进程签发且未过期的 Token，重启 mock 后旧 Token 全部失效
+ */
+const isTokenValid = (token) => {
+  if (!issuedTokens.has(token)) return false;
+  const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+  return exp * 1000 > Date.now();
+};
+
+const findFixture = (route, body, tokenRejected) => fixtures.find(fixture => {
+  const match = fixture.match || {};
+  if (Boolean(match.tokenRejected) !== tokenRejected) return false;
+  if (match.path && !route.endsWith(match.path)) return false;
+  if (match.model && body?.options?.openaiVersion !== match.model) return false;
+  if (match.email && body?.email !== match.email) return false;
+  return !match.prompt || String(body?.prompt || '').includes(match.prompt);
+});
+
+/**
+ * 递归替换 {{name}} 占位符
+ */
+const fillTemplate = (value, context) => {
+  if (typeof value === 'string') return value.replace(/\{\{(\w+)\}\}/g, (all, name) => context[name] ?? all);
+  if (Array.isArray(value)) return value.map(item => fillTemplate(item, context));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillTemplate(item, context)]));
+  }
+  return value;
+};
+
+const sendFixture = (res, fixture, context) => {
+  const response = fixture.response || {};
+  const status = response.status || 200;
+
+  if (Array.isArray(response.events)) {
+    const lines = fillTemplate(response.events, context).map(event => typeof event === 'string' ? event : JSON.stringify(event));
+    res.writeHead(status, { 'content-type': 'application/json' });
+    // splitBytes 把每行按固定字节数分块发送，多字节字符会被拆在两个数据块之间
+    const pieces = lines.flatMap(line => {
+      const buffer = Buffer.from(`${line}\n`);
+      const size = response.splitBytes || buffer.length;
+      return Array.from({ length: Math.ceil(buffer.length / size) }, (_, i) => buffer.subarray(i * size, (i + 1) * size));
+    });
+    let index = 0;
+    const next = () => {
+      if (index < pieces.length) {
+        res.write(pieces[index++]);
+        return setTimeout(next, EVENT_DELAY_MS);
+      }
+      // disconnect 模拟上游在输出中途断开连接
+      if (response.disconnect) return res.socket.destroy();
+      res.end();
+    };
+    return next();
+  }
+
+  if (response.body !== undefined) {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    return res.end(JSON.stringify(fillTemplate(response.body, context)));
+  }
+  res.writeHead(status, { 'content-type': 'text/plain; charset=utf-8' });
+  res.end(fillTemplate(response.text || '', context));
+};
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const route = req.url.split('?')[0];
+    let body = null;
+    try {
+      body = raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      body = null;
+    }
+
+    const isLogin = route.endsWith('/user/login');
+    const tokenRejected = !isLogin && !isTokenValid(req.headers.token);
+    // 没有提供 Token 失效 fixture 时不校验 Token
+    const fixture = (tokenRejected && findFixture(route, body, true)) || findFixture(route, body, false);
+    console.log(`[mock] ${req.method} ${route} -> ${fixture ? fixture.file : '404'}${tokenRejected ? ' (token rejected)' : ''}`);
+
+    if (!fixture) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ code: -1, msg: `mock: 没有匹配 ${route} 的 fixture` }));
+    }
+
+    const context = {
+      token: isLogin ? issueToken() : req.headers.token,
+      conversationId: route.endsWith('/conversation') ? String(++conversationSeq) : body?.options?.conversationId,
+      nonce: body?.options?.nonce,
+      model: body?.options?.openaiVersion
+    };
+    sendFixture(res, fixture, context);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock] CodeMoss 模拟上游已启动: http://127.0.0.1:${PORT}，已加载 ${fixtures.length} 个 fixture（${FIXTURES_DIR}）`);
+});
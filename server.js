@@ -8,7 +8,15 @@ const cors = require('cors');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
 const https = require('https'); // 引入 https 模块用于 Agent
+const dns = require('dns');
+const net = require('net');
+const tls = require('tls');
+const cluster = require('cluster');
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+const { AsyncLocalStorage } = require('async_hooks');
 require('dotenv').config();
 
 // ==========================================
@@ -25,24 +33,42 @@ const httpsAgent = new https.Agent({
   timeout: 60000   // Socket 超时
 });
 
+// 请求上下文：requestId / key / account / model / conversationId，Logger 自动附加到同一请求的每条日志
+const requestContext = new AsyncLocalStorage();
+
 /**
  * 增强日志工具 - 异步写入优化版
+ * 每条日志为一行 JSON，按天分文件，单个文件超过 LOG_MAX_FILE_MB 后切分；敏感字段自动脱敏
  */
 const Logger = {
   logDir: path.join(__dirname, 'logs'),
   logStreams: new Map(), // 缓存写入流
+  fileSizes: new Map(), // fileName -> 已写入字节数
+  levels: { debug: 10, info: 20, warn: 30, error: 40 },
+  level: process.env.LOG_LEVEL in { debug: 1, info: 1, warn: 1, error: 1 } ? process.env.LOG_LEVEL : 'info',
+  retentionDays: Number(process.env.LOG_RETENTION_DAYS) || 7,
+  maxFileBytes: (Number(process.env.LOG_MAX_FILE_MB) || 50) * 1024 * 1024,
+  // 以这些词结尾的字段整体替换；字符串中的 Bearer 值、JWT、sk- 开头的 Key 单独打码
+  secretKeys: /(password|passwd|secret|authorization|cookie|api[-_]?key|token)$/i,
+  secretPatterns: [
+    [/(Bearer\s+)[\w.~+/=-]+/gi, '$1[REDACTED]'],
+    [/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, '[REDACTED_JWT]'],
+    [/\bsk-[\w-]{8,}/g, '[REDACTED_KEY]']
+  ],
 
   init: function() {
     if (!fs.existsSync(this.logDir)) {
       fs.mkdirSync(this.logDir, { recursive: true });
     }
-    // 启动定期清理日志任务
-    setInterval(() => this.cleanOldLogs(), 24 * 60 * 60 * 1000);
+    // 启动时和之后每天清理一次过期日志
+    this.cleanOldLogs();
+    setInterval(() => this.cleanOldLogs(), 24 * 60 * 60 * 1000).unref();
   },
 
   getLogStream: function(fileName) {
     if (!this.logStreams.has(fileName)) {
       const filePath = path.join(this.logDir, fileName);
+      this.fileSizes.set(fileName, fs.existsSync(filePath) ? fs.statSync(filePath).size : 0);
       // 使用追加模式创建写入流
       const stream = fs.createWriteStream(filePath, { flags: 'a', encoding: 'utf8' });
       this.logStreams.set(fileName, stream);
@@ -63,13 +89,35 @@ const Logger = {
     return level === 'error' ? `error-${date}.log` : `app-${date}.log`;
   },
 
+  /**
+   * 当前文件超过大小上限时改名为 app-日期.N.log，之后写入新文件
+   */
+  rotate: function(fileName) {
+    const stream = this.logStreams.get(fileName);
+    if (stream) stream.end();
+    this.logStreams.delete(fileName);
+    this.fileSizes.delete(fileName);
+
+    const base = fileName.replace(/\.log$/, '');
+    const used = fs.readdirSync(this.logDir)
+      .map(file => file.startsWith(`${base}.`) && Number(file.slice(base.length + 1, -'.log'.length)))
+      .filter(Number.isInteger);
+    const next = used.length ? Math.max(...used) + 1 : 1;
+    fs.renameSync(path.join(this.logDir, fileName), path.join(this.logDir, `${base}.${next}.log`));
+  },
+
   writeToFile: function(level, content) {
     try {
       const fileName = this.getLogFileName(level);
+      const line = content + '\n';
+      if (this.logStreams.has(fileName) && this.fileSizes.get(fileName) + Buffer.byteLength(line) > this.maxFileBytes) {
+        this.rotate(fileName);
+      }
       const stream = this.getLogStream(fileName);
       // 异步写入，不会阻塞事件循环
       if (stream.writable) {
-        stream.write(content + '\n');
+        stream.write(line);
+        this.fileSizes.set(fileName, this.fileSizes.get(fileName) + Buffer.byteLength(line));
       }
     } catch (err) {
       console.error('日志写入调度失败:', err.message);
@@ -80,14 +128,13 @@ const Logger = {
     // 异步读取目录，避免阻塞
     fs.readdir(this.logDir, (err, files) => {
       if (err) return;
-      const now = Date.now();
-      const sevenDaysAgo = now - (7 * 24 * 60 * 60 * 1000); // 修正：建议保留7-30天，365天太多会影响文件系统性能
+      const expireBefore = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
 
       files.forEach(file => {
         if (file.endsWith('.log')) {
           const filePath = path.join(this.logDir, file);
           fs.stat(filePath, (err, stats) => {
-            if (!err && stats.mtimeMs < sevenDaysAgo) {
+            if (!err && stats.mtimeMs < expireBefore) {
               fs.unlink(filePath, () => {
                 // 如果对应的流还开着，关闭它
                 if (this.logStreams.has(file)) {
@@ -103,34 +150,111 @@ const Logger = {
     });
   },
 
+  redact: function(value, depth = 0) {
+    if (typeof value === 'string') {
+      return this.secretPatterns.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+    }
+    if (!value || typeof value !== 'object' || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(item => this.redact(item, depth + 1));
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.secretKeys.test(key) && item != null && typeof item !== 'object'
+        ? '[REDACTED]'
+        : this.redact(item, depth + 1);
+    }
+    return result;
+  },
+
+  /**
+   * 组装一行 JSON：时间、级别、消息、请求上下文，再附加调用方传入的字段
+   */
   format: function(level, message, meta = {}) {
-    const timestamp = new Date().toISOString();
-    const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
-    return `[${timestamp}] [${level.toUpperCase()}] ${message} ${metaStr}`;
+    const context = requestContext.getStore() || {};
+    const entry = { time: new Date().toISOString(), level, msg: message };
+    for (const [key, value] of Object.entries(context)) {
+      if (value != null) entry[key] = value;
+    }
+    return JSON.stringify(this.redact({ ...entry, ...meta }));
+  },
+
+  enabled: function(level) {
+    return this.levels[level] >= this.levels[this.level];
+  },
+
+  debug: function(msg, meta) {
+    if (!this.enabled('debug')) return;
+    const formatted = this.format('debug', msg, meta);
+    console.log(formatted);
+    this.writeToFile('debug', formatted);
   },
 
   info: function(msg, meta) {
+    if (!this.enabled('info')) return;
     const formatted = this.format('info', msg, meta);
     console.log(formatted);
     this.writeToFile('info', formatted);
   },
 
   warn: function(msg, meta) {
+    if (!this.enabled('warn')) return;
     const formatted = this.format('warn', msg, meta);
     console.warn(formatted);
-    this.writeToFile('info', formatted);
+    this.writeToFile('warn', formatted);
   },
 
+  /**
+   * 第二个参数为 Error 时记录 message / code / stack，普通对象按附加字段处理
+   */
   error: function(msg, error) {
-    const formatted = this.format('error', msg);
-    const errorStack = error instanceof Error ? error.stack : JSON.stringify(error);
-    const fullError = `${formatted}\n--- SYSTEM ERROR STACK ---\n${errorStack}\n--------------------------`;
-
+    const meta = error instanceof Error
+      ? { error: { name: error.name, message: error.message, code: error.code, status: error.status, stack: error.stack } }
+      : error;
+    const formatted = this.format('error', msg, meta);
     console.error(formatted);
-    console.error(`--- SYSTEM ERROR STACK ---\n${errorStack}\n--------------------------`);
-
     this.writeToFile('info', formatted);
-    this.writeToFile('error', fullError);
+    this.writeToFile('error', formatted);
+  },
+
+  /**
+   * 查询 app 日志：按 requestId、最低级别、时间范围过滤，从新到旧返回最多 limit 条
+   */
+  query: async function({ requestId, level, since, until, limit }) {
+    const sinceMs = since ? Date.parse(since) : 0;
+    const untilMs = until ? Date.parse(until) : Infinity;
+    const minLevel = this.levels[level] || 0;
+    const sinceDay = since ? new Date(sinceMs).toISOString().split('T')[0] : '';
+
+    // 同一天内：当前文件最新，切分出的 .N.log 序号越大越新
+    const files = fs.readdirSync(this.logDir)
+      .map(file => file.match(/^app-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log$/))
+      .filter(match => match && match[1] >= sinceDay)
+      .map(match => ({ file: match[0], day: match[1], index: match[2] ? Number(match[2]) : Infinity }))
+      .sort((a, b) => b.day.localeCompare(a.day) || b.index - a.index);
+
+    // 多取一条用于判断 has_more
+    const wanted = limit + 1;
+    const results = [];
+    for (const { file } of files) {
+      const matches = [];
+      const lines = readline.createInterface({ input: fs.createReadStream(path.join(this.logDir, file)), crlfDelay: Infinity });
+      for await (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          continue; // 旧版本的纯文本日志
+        }
+        if (requestId && entry.requestId !== requestId) continue;
+        if ((this.levels[entry.level] || 0) < minLevel) continue;
+        const time = Date.parse(entry.time);
+        if (time < sinceMs || time > untilMs) continue;
+        matches.push(entry);
+        if (matches.length > wanted) matches.shift();
+      }
+      results.push(...matches.reverse());
+      if (results.length >= wanted) break;
+    }
+    return { data: results.slice(0, limit), has_more: results.length > limit };
   }
 };
 
@@ -140,428 +264,4943 @@ const app = express();
 const PORT = process.env.PORT || 8002;
 
 // ==========================================
-// 内存优化：带过期时间的存储
+// 并发控制：会话锁与限流器
 // ==========================================
-class CleanupMap extends Map {
-  constructor(maxAgeMs = 3600000) { // 默认1小时过期
-    super();
-    this.maxAgeMs = maxAgeMs;
-    this.lastAccess = new Map();
 
-    // 每10分钟清理一次过期数据
-    setInterval(() => this.cleanup(), 600000);
+/**
+ * 按 key 串行化的异步锁：同一会话的并发请求排队执行
+ */
+class KeyedMutex {
+  constructor() {
+    this.tails = new Map();
   }
 
-  set(key, value) {
-    this.lastAccess.set(key, Date.now());
-    return super.set(key, value);
+  async acquire(key) {
+    const prev = this.tails.get(key) || Promise.resolve();
+    let unlock;
+    const current = new Promise(resolve => { unlock = resolve; });
+    const tail = prev.then(() => current);
+    this.tails.set(key, tail);
+    await prev;
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      unlock();
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    };
   }
+}
 
-  get(key) {
-    if (super.has(key)) {
-      this.lastAccess.set(key, Date.now()); // 刷新访问时间
-    }
-    return super.get(key);
+/**
+ * 单个维度的限流器：每分钟请求数（滑动窗口，redis 后端跨 worker 共享）+ 并发数（超限排队，超时拒绝，按 worker 计算）
+ */
+class Limiter {
+  constructor() {
+    this.limits = { rpm: 0, concurrency: 0, dailyCredits: 0 };
+    this.hits = [];
+    this.active = 0;
+    this.queue = [];
   }
 
-  cleanup() {
+  /**
+   * 检查每分钟请求数，limit 为 0 表示不限制
+   */
+  checkRate() {
     const now = Date.now();
-    for (const [key, time] of this.lastAccess) {
-      if (now - time > this.maxAgeMs) {
-        super.delete(key);
-        this.lastAccess.delete(key);
-      }
-    }
+    const { used, resetMs } = StateStore.shared ? this.sharedWindow(now) : this.localWindow(now);
+    const limit = this.limits.rpm;
+    if (!limit) return { ok: true, limit: 0, remaining: 0, resetMs };
+    return {
+      ok: used < limit,
+      limit,
+      remaining: Math.max(0, limit - used),
+      resetMs
+    };
   }
-}
 
-// 使用优化后的 Map，防止内存泄漏
-const conversationStore = new CleanupMap(2 * 60 * 60 * 1000); // 2小时无操作清理
-const userTokenStore = new CleanupMap(24 * 60 * 60 * 1000);   // 24小时清理 Token
+  localWindow(now) {
+    while (this.hits.length && now - this.hits[0] >= 60000) this.hits.shift();
+    return { used: this.hits.length, resetMs: this.hits.length ? 60000 - (now - this.hits[0]) : 0 };
+  }
 
-// ==========================================
-// 2. 中间件链 (Middleware Chain)
-// ==========================================
+  /**
+   * 跨进程计数按 10 秒分桶，窗口为当前桶及之前 5 个桶
+   */
+  sharedWindow(now) {
+    const current = Math.floor(now / Limiter.BUCKET_MS);
+    let used = 0;
+    let oldest = null;
+    for (let bucket = current - 5; bucket <= current; bucket++) {
+      const count = SharedCounters.get(`rpm:${this.scope}:${bucket}`);
+      used += count;
+      if (count && oldest == null) oldest = bucket;
+    }
+    return { used, resetMs: oldest == null ? 0 : (oldest + 6) * Limiter.BUCKET_MS - now };
+  }
 
-app.use((req, res, next) => {
-  req.requestId = crypto.randomUUID();
-  next();
-});
+  hit() {
+    if (!StateStore.shared) return this.hits.push(Date.now());
+    SharedCounters.add(`rpm:${this.scope}:${Math.floor(Date.now() / Limiter.BUCKET_MS)}`, 1, 2 * 60000);
+  }
 
-app.use((req, res, next) => {
-  const start = Date.now();
-  res.on('finish', () => {
-    const duration = Date.now() - start;
-    // 仅记录慢请求 (>2s) 或 错误请求，减少日志 I/O 压力
-    if (duration > 2000 || res.statusCode >= 400) {
-      Logger.info(`Request completed`, {
-        id: req.requestId,
-        method: req.method,
-        url: req.url,
-        status: res.statusCode,
-        duration: `${duration}ms`,
-        ip: req.ip
-      });
+  hasFreeSlot() {
+    return !this.limits.concurrency || this.active < this.limits.concurrency;
+  }
+
+  /**
+   * 获取并发槽位，满了则排队等待，超时返回 null
+   */
+  acquireSlot(timeoutMs) {
+    if (this.hasFreeSlot() && !this.queue.length) {
+      this.active += 1;
+      return Promise.resolve(this.createRelease());
     }
-  });
-  next();
-});
+    return new Promise(resolve => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter(w => w !== waiter);
+        resolve(null);
+      }, timeoutMs);
+      this.queue.push(waiter);
+    });
+  }
 
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+  createRelease() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.active -= 1;
+      this.drain();
+    };
+  }
 
- // ... (接上一段代码: const asyncHandler = (fn) => ...)
+  drain() {
+    while (this.queue.length && this.hasFreeSlot()) {
+      const waiter = this.queue.shift();
+      clearTimeout(waiter.timer);
+      this.active += 1;
+      waiter.resolve(this.createRelease());
+    }
+  }
+}
 
-const asyncHandler = (fn) => (req, res, next) => {
-  Promise.resolve(fn(req, res, next)).catch(next);
-};
+Limiter.BUCKET_MS = 10000;
 
-// ==========================================
-// 3. 核心业务逻辑 (Core Business Logic)
-// ==========================================
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
 /**
- * 封装的 Fetch 请求工具
- * 特性：自动超时控制、连接复用(Agent)、错误处理
+ * 进程内状态存储：键值 + 闲置过期（每次读写刷新过期时间）
+ * 接口统一为异步，调用方不依赖具体后端
  */
-const fetchClient = async (url, options = {}, timeout = 30000) => {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  // 动态导入 node-fetch
-  const fetch = (await import('node-fetch')).default;
+class MemoryStore {
+  constructor(namespace, idleTtlMs) {
+    this.namespace = namespace;
+    this.idleTtlMs = idleTtlMs;
+    this.entries = new Map(); // key -> { value, expiresAt }
+    setInterval(() => this.cleanup(), 10 * 60 * 1000).unref();
+  }
 
-  try {
-    const response = await fetch(url, {
-      ...options,
-      agent: url.startsWith('https') ? httpsAgent : undefined, // 使用长连接 Agent
-      signal: controller.signal
-    });
-    return response;
-  } finally {
-    clearTimeout(timeoutId); // 清除定时器
+  live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+    return entry;
   }
-};
 
-// 登录获取token的函数
-const loginAndGetToken = async () => {
-  try {
-    const response = await fetchClient('https://jiangsu.codemoss.vip/luomacode-api/user/login', {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      },
-      body: JSON.stringify({
-        email: '893917884@qq.com',
-        password: 'qqlcx5'
-      })
-    }, 15000); // 登录请求15秒超时
+  async get(key) {
+    const entry = this.live(key);
+    if (!entry) return undefined;
+    entry.expiresAt = Date.now() + this.idleTtlMs;
+    return entry.value;
+  }
 
-    if (!response.ok) {
-      throw new Error(`登录失败: ${response.status}`);
-    }
+  async has(key) {
+    return Boolean(this.live(key));
+  }
 
-    const data = await response.json();
-    if (data.code === 0 && data.loginToken) {
-      Logger.info('系统自动登录成功');
-      return data.loginToken;
-    }
-    throw new Error('登录返回数据格式错误');
-  } catch (error) {
-    Logger.error('登录过程发生异常', error);
-    throw error;
+  async set(key, value) {
+    this.entries.set(key, { value, expiresAt: Date.now() + this.idleTtlMs });
+    this.changed();
   }
-};
 
-// Token验证中间件
-const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  async delete(key) {
+    this.remove(key);
+  }
 
-  if (!token) {
-    return res.status(401).json({ error: { message: 'Missing token', code: 'missing_token' } });
+  /**
+   * 列出指定前缀下的全部条目（不刷新过期时间）
+   */
+  async list(prefix = '') {
+    return [...this.entries.keys()]
+      .filter(key => key.startsWith(prefix) && this.live(key))
+      .map(key => ({ key, value: this.entries.get(key).value }));
   }
 
-  if (token === 'sk-qqlcx5') {
-    let realToken = userTokenStore.get('default_user');
+  remove(key) {
+    if (this.entries.delete(key)) this.changed();
+  }
 
-    // 双重检查锁定模式（虽然JS是单线程，但await会让出控制权）
-    if (!realToken) {
-      try {
-        Logger.info('检测到默认Key，尝试自动获取Token', { requestId: req.requestId });
-        realToken = await loginAndGetToken();
-        userTokenStore.set('default_user', realToken);
-      } catch (error) {
-        return res.status(401).json({ error: { message: '自动登录失败', code: 'login_failed' } });
-      }
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.remove(key);
     }
-    req.mossToken = realToken;
-  } else {
-    req.mossToken = token;
   }
-  next();
-};
 
-const getVersionFromModel = (model) => model?.includes('-tmp') ? '2' : '1';
+  changed() {}
+}
 
 /**
- * 统一发送系统消息（适配流式/非流式）
+ * 文件状态存储：启动时从 DATA_DIR/state/<namespace>.json 恢复，变更后合并写盘（先写临时文件再改名），进程退出时同步落盘
+ * 只刷新过期时间的读操作不触发写盘，重启后的闲置时间以最后一次写入为准
  */
-const sendSystemMessage = (res, content, isStream, model, requestId) => {
-  const timestamp = Math.floor(Date.now() / 1000);
-  const id = `chatcmpl-${requestId}`;
-
-  if (isStream) {
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'X-Request-ID': requestId
-    });
-    const chunk = {
-      id,
-      object: 'chat.completion.chunk',
-      created: timestamp,
-      model: model,
-      choices: [{
-        index: 0,
-        delta: { role: 'assistant', content },
-        finish_reason: null
-      }]
-    };
-    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-    res.write('data: [DONE]\n\n');
-    res.end();
-  } else {
-    res.json({
-      id,
-      object: 'chat.completion',
-      created: timestamp,
-      model: model,
-      choices: [{
-        message: { role: 'assistant', content },
-        finish_reason: 'stop',
-        index: 0
-      }]
-    });
+class FileStore extends MemoryStore {
+  constructor(namespace, idleTtlMs, dir) {
+    super(namespace, idleTtlMs);
+    this.filePath = path.join(dir, `${namespace}.json`);
+    this.timer = null;
+    this.load();
   }
-};
 
-// 创建新会话
-const createNewConversation = async (token, model) => {
-  try {
-    const response = await fetchClient('https://jiangsu.codemoss.vip/luomacode-api/conversation', {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        'token': token
-      },
-      body: JSON.stringify({
-        title: 'hat_' + Date.now(),
-        assistantId: getVersionFromModel(model),
-        version: '2'
-      })
-    }, 10000); // 创建会话10秒超时
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    try {
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8')))) {
+        if (entry?.expiresAt > now) this.entries.set(key, entry);
+      }
+    } catch (err) {
+      Logger.error('状态文件解析失败，以空状态启动', err);
+    }
+  }
 
-    if (!response.ok) throw new Error(`Status ${response.status}`);
+  changed() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.flush(), 1000);
+    this.timer.unref();
+  }
 
-    const data = await response.json();
-    if (data.code === 0 && data.list?.[0]?.id) {
-      return data.list[0].id;
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.entries)));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (err) {
+      Logger.error('状态文件写入失败', err);
     }
-    throw new Error('无效的会话响应');
-  } catch (error) {
-    Logger.error('创建新会话失败', error);
-    throw error;
   }
-};
+}
 
-// 辅助函数：判断是否需要重置/重登/免费时间 (逻辑保持不变，为节省篇幅略简写)
-const shouldResetConversation = (msgs) => ['重置', 'reset', '1'].includes(msgs?.[msgs.length-1]?.content?.trim());
-const shouldRelogin = (msgs) => ['重新登录', 'login', '登录'].includes(msgs?.[msgs.length-1]?.content?.trim()?.toLowerCase());
-const isFreeTime = () => {
-  const now = new Date();
-  const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-  const beijingTime = new Date(utc + (3600000 * 8));
-  const hour = beijingTime.getHours();
-  const day = beijingTime.getDay();
-  return {
-    isFree: (day === 0 || day === 6) || (hour >= 20 || hour < 8),
-    beijingTime
-  };
-};
+/**
+ * 解析一条 RESP2 回复，数据不完整时返回 null，等下一个数据块到达后从头重试
+ */
+const parseRedisReply = (buffer, start) => {
+  const end = buffer.indexOf('\r\n', start);
+  if (end < 0) return null;
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, end);
+  const next = end + 2;
 
-// 格式转换函数 (保持原有逻辑，去除无用的大量日志)
-const convertToMossFormat = (reqBody, token, convId) => {
-  // ... (保持原有逻辑)
-  const userMsg = reqBody.messages.filter(m => m.role === 'user').pop();
-  return {
-    url: 'https://jiangsu.codemoss.vip/luomacode-api/v3/moss/completions',
-    headers: { 'content-type': 'application/json', 'token': token },
-    body: JSON.stringify({
-      prompt: userMsg ? userMsg.content : '',
-      options: {
-        conversationId: convId,
-        openaiVersion: reqBody.model.replace('-tmp', '') || 'gpt-4o-mini',
-        assistantId: getVersionFromModel(reqBody.model),
-        version: '2',
-        nonce: `hp_${Math.floor(Math.random() * 100000000)}`
+  switch (type) {
+    case '+':
+      return { value: line, next };
+    case '-':
+      return { value: new Error(`Redis: ${line}`), next };
+    case ':':
+      return { value: Number(line), next };
+    case '$': {
+      const length = Number(line);
+      if (length < 0) return { value: null, next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) return { value: null, next };
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseRedisReply(buffer, pos);
+        if (!item) return null;
+        items.push(item.value);
+        pos = item.next;
       }
-    })
-  };
+      return { value: items, next: pos };
+    }
+    default:
+      throw new Error(`无法解析的 Redis 回复类型: ${type}`);
+  }
 };
 
-// ==========================================
-// 4. API 路由定义 (API Routes)
-// ==========================================
+/**
+ * 最小 Redis 客户端（RESP2）：单连接流水线，断线后下一条命令自动重连
+ * 只用到字符串、计数、SCAN 和 EVAL，兼容 Redis / Valkey / KeyDB 等 Redis 协议服务，不额外引入依赖
+ * REDIS_URL 格式：redis://[用户名:密码@]主机:端口[/库号]，rediss:// 使用 TLS
+ */
+class RedisClient {
+  constructor(url) {
+    const parsed = new URL(url);
+    this.options = {
+      host: parsed.hostname || '127.0.0.1',
+      port: Number(parsed.port) || 6379,
+      tls: parsed.protocol === 'rediss:',
+      username: decodeURIComponent(parsed.username),
+      password: decodeURIComponent(parsed.password),
+      db: Number(parsed.pathname.slice(1)) || 0
+    };
+    this.connectTimeoutMs = 5000;
+    this.socket = null;
+    this.ready = null; // 连接及 AUTH/SELECT 完成
+    this.pending = []; // 等待回复的命令，按发送顺序排列
+    this.buffer = Buffer.alloc(0);
+    this.lastError = null;
+    this.connected = false;
+  }
 
-app.post('/v1/chat/completions', authenticateToken, asyncHandler(async (req, res) => {
-  let { stream, messages, model } = req.body;
-  const requestId = req.requestId;
-  const userKey = req.mossToken;
+  connect() {
+    if (this.ready) return this.ready;
+    const { host, port, username, password, db } = this.options;
+    const socket = this.options.tls ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.setNoDelay(true);
+    socket.setKeepAlive(true, 30000);
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', err => { this.lastError = err; });
+    socket.on('close', () => this.reset(socket));
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.lastError = null;
 
-  if (!messages || !Array.isArray(messages)) throw new Error('Messages array required');
+    const timer = setTimeout(() => socket.destroy(new Error('连接超时')), this.connectTimeoutMs);
+    this.ready = new Promise((resolve, reject) => {
+      socket.once(this.options.tls ? 'secureConnect' : 'connect', resolve);
+      socket.once('close', () => reject(this.lastError || new Error('连接已关闭')));
+    })
+      .then(async () => {
+        clearTimeout(timer);
+        if (password) await this.send(username ? ['AUTH', username, password] : ['AUTH', password]);
+        if (db) await this.send(['SELECT', db]);
+        this.connected = true;
+        Logger.info('Redis 已连接', { host, port, db });
+      })
+      .catch(err => {
+        clearTimeout(timer);
+        socket.destroy();
+        throw err;
+      });
+    return this.ready;
+  }
 
-  // 免费时间逻辑
-  const freeInfo = isFreeTime();
-  if (freeInfo.isFree && model !== 'gpt-4o-2024-05-13') {
-    model = 'gpt-4o-2024-05-13';
-    req.body.model = model;
+  /**
+   * 连接断开：未收到回复的命令全部失败，下一条命令重新建立连接
+   */
+  reset(socket) {
+    if (this.socket !== socket) return;
+    const cause = this.lastError || new Error('连接已断开');
+    if (this.connected) Logger.warn('Redis 连接断开', { error: cause.message });
+    this.socket = null;
+    this.ready = null;
+    this.connected = false;
+    const pending = this.pending;
+    this.pending = [];
+    const error = this.unavailable(cause);
+    pending.forEach(command => command.reject(error));
   }
 
-  // 重新登录逻辑
-  if (shouldRelogin(messages) && req.mossToken !== 'sk-qqlcx5') {
-     return sendSystemMessage(res, "非默认key无法自动重登，请重新登录。" + req.mossToken, stream, model, requestId);
-  } else if (shouldRelogin(messages)) {
-    userTokenStore.delete('default_user'); // 强制清理缓存
-    req.mossToken = await loginAndGetToken();
-    userTokenStore.set('default_user', req.mossToken);
-    return sendSystemMessage(res, "已重新登录，请重试。", stream, model, requestId);
+  unavailable(err) {
+    return new ApiError(503, `状态存储不可用：${err.message}`, { type: 'server_error', code: 'state_store_unavailable' });
   }
 
-  // 会话管理
-  let conversationId = conversationStore.get(userKey);
-  if (!conversationId || shouldResetConversation(messages)) {
-    conversationId = await createNewConversation(req.mossToken, model);
-    conversationStore.set(userKey, conversationId);
-    if (shouldResetConversation(messages)) {
-      return sendSystemMessage(res, `会话ID已失效，新的会话 ID: ${conversationId} 已创建 ，请重新提问~~`, stream, model, requestId);
+  async command(...args) {
+    try {
+      await this.connect();
+    } catch (err) {
+      throw this.unavailable(err);
     }
+    return this.send(args);
   }
 
-  // 构造 Moss 请求
-  const mossRequest = convertToMossFormat(req.body, req.mossToken, conversationId);
+  send(args) {
+    const parts = [Buffer.from(`*${args.length}\r\n`)];
+    for (const arg of args) {
+      const value = Buffer.from(String(arg));
+      parts.push(Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n'));
+    }
+    if (!this.socket) return Promise.reject(this.unavailable(this.lastError || new Error('连接已断开')));
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(Buffer.concat(parts));
+    });
+  }
 
-  // 发起请求 - 注意这里不设置超时或设置较长超时，因为LLM生成慢
-  // 如果是流式，我们需要拿到原始的 response body stream
-  const fetch = (await import('node-fetch')).default;
+  receive(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let offset = 0;
+    try {
+      while (offset < this.buffer.length) {
+        const reply = parseRedisReply(this.buffer, offset);
+        if (!reply) break;
+        offset = reply.next;
+        const command = this.pending.shift();
+        if (!command) continue;
+        if (reply.value instanceof Error) command.reject(reply.value);
+        else command.resolve(reply.value);
+      }
+    } catch (err) {
+      // 回复无法解析后命令与回复再也对不上：未完成的命令全部失败，断开连接，下一条命令重新连接
+      Logger.error('Redis 回复解析失败，断开重连', err);
+      const socket = this.socket;
+      this.lastError = err;
+      this.reset(socket);
+      socket.destroy();
+      return;
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
 
-  // 使用 AbortController 处理客户端断开连接的情况
-  const controller = new AbortController();
-  req.on('close', () => {
-    controller.abort(); // 客户端断开时，中止上游请求，节省资源
-    Logger.info('客户端连接断开，中止上游请求', { requestId });
-  });
+  close() {
+    this.socket?.end();
+  }
+}
 
-  const response = await fetch(mossRequest.url, {
-    method: 'POST',
-    headers: mossRequest.headers,
-    agent: httpsAgent,
-    body: mossRequest.body,
-    signal: controller.signal
-  });
+/**
+ * Redis 状态存储：与 MemoryStore 相同的异步接口，值以 JSON 保存，闲置过期交给 PEXPIRE
+ * 多个 worker 进程（PM2 cluster）共享同一份会话绑定和登录 Token
+ */
+class RedisStore {
+  constructor(namespace, idleTtlMs, client, prefix) {
+    this.namespace = namespace;
+    this.idleTtlMs = idleTtlMs;
+    this.client = client;
+    this.prefix = `${prefix}${namespace}:`;
+  }
+
+  async get(key) {
+    const [raw] = await Promise.all([
+      this.client.command('GET', this.prefix + key),
+      this.client.command('PEXPIRE', this.prefix + key, this.idleTtlMs)
+    ]);
+    return raw == null ? undefined : JSON.parse(raw);
+  }
+
+  async has(key) {
+    return (await this.client.command('EXISTS', this.prefix + key)) === 1;
+  }
+
+  async set(key, value) {
+    await this.client.command('SET', this.prefix + key, JSON.stringify(value), 'PX', this.idleTtlMs);
+  }
+
+  async delete(key) {
+    await this.client.command('DEL', this.prefix + key);
+  }
+
+  /**
+   * 列出指定前缀下的全部条目（SCAN + MGET，不刷新过期时间）
+   */
+  async list(prefix = '') {
+    const pattern = `${this.prefix}${prefix}`.replace(/[*?[\]\\]/g, '\\$&') + '*';
+    const keys = new Set();
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 500);
+      batch.forEach(key => keys.add(key));
+      cursor = next;
+    } while (cursor !== '0');
+    if (!keys.size) return [];
+
+    const names = [...keys];
+    const values = await this.client.command('MGET', ...names);
+    return names
+      .map((name, i) => ({ key: name.slice(this.prefix.length), raw: values[i] }))
+      .filter(entry => entry.raw != null)
+      .map(entry => ({ key: entry.key, value: JSON.parse(entry.raw) }));
+  }
+}
+
+/**
+ * 跨进程互斥锁：SET NX PX 抢占，持有期间定时续租，释放时只删除自己的锁
+ * 进程崩溃时锁在租期（leaseMs）到期后自动释放；同一进程内先经 KeyedMutex 排队，避免多个请求同时轮询
+ */
+class DistributedMutex {
+  constructor(client, prefix, leaseMs = 30000) {
+    this.client = client;
+    this.prefix = prefix;
+    this.leaseMs = leaseMs;
+    this.local = new KeyedMutex();
+  }
+
+  async acquire(key) {
+    const releaseLocal = await this.local.acquire(key);
+    const lockKey = this.prefix + key;
+    const token = crypto.randomUUID();
+    try {
+      for (let waitMs = 20; ; waitMs = Math.min(waitMs * 2, 250)) {
+        if (await this.client.command('SET', lockKey, token, 'NX', 'PX', this.leaseMs) === 'OK') break;
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+    } catch (err) {
+      releaseLocal();
+      throw err;
+    }
+
+    const renew = setInterval(() => {
+      this.client.command('EVAL', DistributedMutex.RENEW_SCRIPT, 1, lockKey, token, this.leaseMs)
+        .catch(err => Logger.warn('锁续租失败', { key, error: err.message }));
+    }, this.leaseMs / 3);
+    renew.unref();
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      clearInterval(renew);
+      this.client.command('EVAL', DistributedMutex.RELEASE_SCRIPT, 1, lockKey, token)
+        .catch(err => Logger.warn('锁释放失败，等待租期到期', { key, error: err.message }))
+        .finally(releaseLocal);
+    };
+  }
+}
+
+DistributedMutex.RENEW_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) end return 0";
+DistributedMutex.RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+
+/**
+ * 状态存储工厂：STATE_STORE=file（默认，重启后保留会话绑定和登录 Token）、memory 或 redis
+ * file / memory 只在单进程内有效；PM2 cluster 多 worker 运行时必须使用 redis，锁和限流计数也随之跨进程共享
+ */
+const StateStore = {
+  backend: process.env.STATE_STORE || 'file',
+  dir: path.join(DATA_DIR, 'state'),
+  redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+  redisPrefix: process.env.REDIS_PREFIX || 'moss:',
+  client: null,
+  shared: false,
+  stores: [],
+
+  create: function(namespace, idleTtlMs) {
+    let store;
+    if (this.shared) store = new RedisStore(namespace, idleTtlMs, this.client, this.redisPrefix);
+    else if (this.backend === 'memory') store = new MemoryStore(namespace, idleTtlMs);
+    else store = new FileStore(namespace, idleTtlMs, this.dir);
+    this.stores.push(store);
+    return store;
+  },
+
+  /**
+   * 按 key 串行化的锁，redis 后端跨进程生效
+   */
+  createMutex: function(namespace) {
+    return this.shared
+      ? new DistributedMutex(this.client, `${this.redisPrefix}lock:${namespace}:`)
+      : new KeyedMutex();
+  },
+
+  flush: function() {
+    this.stores.forEach(store => store.timer && store.flush());
+  }
+};
+
+if (!['file', 'memory', 'redis'].includes(StateStore.backend)) {
+  Logger.warn('未知的 STATE_STORE，使用 file', { backend: StateStore.backend });
+  StateStore.backend = 'file';
+}
+if (StateStore.backend === 'redis') {
+  StateStore.client = new RedisClient(StateStore.redisUrl);
+  StateStore.shared = true;
+  StateStore.client.connect().catch(err => Logger.error('Redis 连接失败，将在下次访问时重试', err));
+} else if (cluster.isWorker) {
+  Logger.warn('以集群模式运行但 STATE_STORE 不是 redis：会话绑定、登录 Token、锁和限流计数只在本 worker 内有效');
+}
+process.on('exit', () => StateStore.flush());
+
+/**
+ * 共享计数（每分钟请求数、每日额度），仅 redis 后端使用；file / memory 后端直接在进程内计数
+ * 读取是同步的，供账号选择和限流判断直接使用：本地缓存在每次累加（INCRBY 的返回值）和每秒一次的 MGET 同步时更新
+ * 计数名本身带时间段（分钟桶、日期），过期时间只用于清理，跨 worker 的误差不超过一个同步周期
+ */
+const SharedCounters = {
+  syncIntervalMs: 1000,
+  idleMs: 5 * 60 * 1000, // 超过5分钟没有读写的计数不再同步
+  entries: new Map(), // name -> { value, usedAt }
+  failing: false,
+
+  start: function() {
+    setInterval(() => {
+      this.sync()
+        .then(() => { this.failing = false; })
+        .catch(err => {
+          // Redis 不可用期间只记一次，沿用本地缓存的计数
+          if (!this.failing) Logger.warn('共享计数同步失败', { error: err.message });
+          this.failing = true;
+        });
+    }, this.syncIntervalMs).unref();
+  },
+
+  track: function(name) {
+    let entry = this.entries.get(name);
+    if (!entry) {
+      entry = { value: 0, usedAt: 0 };
+      this.entries.set(name, entry);
+    }
+    entry.usedAt = Date.now();
+    return entry;
+  },
+
+  get: function(name) {
+    return this.track(name).value;
+  },
+
+  add: function(name, by, ttlMs) {
+    const entry = this.track(name);
+    entry.value += by;
+    const key = `${StateStore.redisPrefix}counter:${name}`;
+    Promise.all([StateStore.client.command('INCRBY', key, by), StateStore.client.command('PEXPIRE', key, ttlMs)])
+      .then(([value]) => { entry.value = value; })
+      .catch(err => Logger.warn('共享计数写入失败', { name, error: err.message }));
+  },
+
+  sync: async function() {
+    const now = Date.now();
+    for (const [name, entry] of this.entries) {
+      if (now - entry.usedAt > this.idleMs) this.entries.delete(name);
+    }
+    const names = [...this.entries.keys()];
+    if (!names.length) return;
+    const values = await StateStore.client.command('MGET', ...names.map(name => `${StateStore.redisPrefix}counter:${name}`));
+    names.forEach((name, i) => {
+      const entry = this.entries.get(name);
+      if (entry) entry.value = Number(values[i]) || 0;
+    });
+  }
+};
+
+if (StateStore.shared) SharedCounters.start();
+
+const CONVERSATION_IDLE_TTL_MS = Number(process.env.CONVERSATION_IDLE_TTL_MS) || 2 * 60 * 60 * 1000; // 默认2小时无操作过期
+
+const conversationStore = StateStore.create('conversations', CONVERSATION_IDLE_TTL_MS);
+const userTokenStore = StateStore.create('tokens', 24 * 60 * 60 * 1000); // 24小时未使用的 Token 不再保留
+const responseStore = StateStore.create('responses', 2 * 60 * 60 * 1000); // Responses API 的 previous_response_id 链
+const conversationLocks = StateStore.createMutex('conversations');
+const loginLocks = StateStore.createMutex('logins');
+
+/**
+ * 对 Key/Token 做脱敏，仅保留首尾几位用于识别
+ */
+const maskKey = (key) => {
+  if (!key) return 'anonymous';
+  return key.length <= 10 ? `${key.slice(0, 2)}***` : `${key.slice(0, 5)}...${key.slice(-4)}`;
+};
+
+/**
+ * 额度账本 - 按 Key / 模型 / 天累计 token 与上游消耗次数
+ * 明细按月追加写入 data/usage/YYYY-MM.jsonl，启动时回放恢复统计；旧版的 data/usage.jsonl 只读取不再写入
+ * redis 后端下各 worker 追加写同一个文件：每日额度改用共享计数，报表查询前从上次读到的位置继续读取其他 worker 写入的明细
+ */
+const UsageLedger = {
+  dir: path.join(DATA_DIR, 'usage'),
+  legacyPath: path.join(DATA_DIR, 'usage.jsonl'),
+  buckets: new Map(), // `${day}|${key}|${model}` -> 统计
+  dailyCredits: new Map(), // `${day}|key:${id}` / `${day}|account:${id}` -> 当日消耗次数
+  offsets: new Map(), // 文件路径 -> 已读取的字节数
+  stream: null,
+  streamMonth: null,
+
+  init: function() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.catchUp();
+  },
+
+  files: function() {
+    const monthly = fs.readdirSync(this.dir)
+      .filter(name => /^\d{4}-\d{2}\.jsonl$/.test(name))
+      .sort()
+      .map(name => path.join(this.dir, name));
+    return fs.existsSync(this.legacyPath) ? [this.legacyPath, ...monthly] : monthly;
+  },
+
+  /**
+   * 从每个账本文件上次读到的位置继续读取，只处理完整的行（其他 worker 可能正写到一半）
+   */
+  catchUp: function() {
+    for (const filePath of this.files()) {
+      const offset = this.offsets.get(filePath) || 0;
+      let chunk;
+      try {
+        const size = fs.statSync(filePath).size;
+        if (size <= offset) continue;
+        chunk = Buffer.alloc(size - offset);
+        const fd = fs.openSync(filePath, 'r');
+        try {
+          fs.readSync(fd, chunk, 0, chunk.length, offset);
+        } finally {
+          fs.closeSync(fd);
+        }
+      } catch (err) {
+        Logger.warn('额度账本读取失败', { file: filePath, error: err.message });
+        continue;
+      }
+      const end = chunk.lastIndexOf('\n') + 1;
+      if (!end) continue;
+      this.offsets.set(filePath, offset + end);
+      for (const line of chunk.toString('utf8', 0, end).split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          this.accumulate(JSON.parse(line));
+        } catch (e) {
+          // 忽略损坏的行
+        }
+      }
+    }
+  },
+
+  /**
+   * 追加一条明细，跨月时切换到新的月度文件
+   */
+  write: function(entry) {
+    const month = entry.time.slice(0, 7);
+    if (this.streamMonth !== month) {
+      this.stream?.end();
+      this.stream = fs.createWriteStream(path.join(this.dir, `${month}.jsonl`), { flags: 'a', encoding: 'utf8' });
+      this.stream.on('error', (err) => console.error('额度账本写入错误:', err));
+      this.streamMonth = month;
+    }
+    if (this.stream.writable) this.stream.write(JSON.stringify(entry) + '\n');
+  },
+
+  accumulate: function(entry) {
+    const day = entry.time.split('T')[0];
+    const bucketKey = `${day}|${entry.key}|${entry.model}`;
+    const bucket = this.buckets.get(bucketKey) || {
+      day, key: entry.key, model: entry.model,
+      requests: 0, prompt_tokens: 0, completion_tokens: 0, credits: 0
+    };
+    bucket.requests += 1;
+    bucket.prompt_tokens += entry.prompt_tokens || 0;
+    bucket.completion_tokens += entry.completion_tokens || 0;
+    bucket.credits += entry.credits || 0;
+    this.buckets.set(bucketKey, bucket);
+
+    if (entry.credits) {
+      const scopes = [`key:${entry.key}`];
+      if (entry.account) scopes.push(`account:${entry.account}`);
+      for (const scope of scopes) {
+        const dailyKey = `${day}|${scope}`;
+        this.dailyCredits.set(dailyKey, (this.dailyCredits.get(dailyKey) || 0) + entry.credits);
+      }
+    }
+  },
+
+  creditsToday: function(scope) {
+    const day = new Date().toISOString().split('T')[0];
+    if (StateStore.shared) return SharedCounters.get(`credits:${day}|${scope}`);
+    return this.dailyCredits.get(`${day}|${scope}`) || 0;
+  },
+
+  record: function(entry) {
+    const full = { time: new Date().toISOString(), ...entry };
+    // redis 后端下本 worker 的明细和其他 worker 的一样在查询时从文件读入，避免重复计入
+    if (!StateStore.shared) this.accumulate(full);
+    this.write(full);
+    if (StateStore.shared && full.credits) {
+      const day = full.time.split('T')[0];
+      const scopes = [`key:${full.key}`, ...(full.account ? [`account:${full.account}`] : [])];
+      scopes.forEach(scope => SharedCounters.add(`credits:${day}|${scope}`, full.credits, 48 * 60 * 60 * 1000));
+    }
+  },
+
+  /**
+   * 汇总报表，since/until 为 YYYY-MM-DD（含）
+   */
+  report: function({ since, until, key } = {}) {
+    if (StateStore.shared) this.catchUp();
+    const byKey = {};
+    const byModel = {};
+    const total = { requests: 0, prompt_tokens: 0, completion_tokens: 0, credits: 0 };
+    const add = (target, bucket) => {
+      target.requests += bucket.requests;
+      target.prompt_tokens += bucket.prompt_tokens;
+      target.completion_tokens += bucket.completion_tokens;
+      target.credits += bucket.credits;
+    };
+    const empty = () => ({ requests: 0, prompt_tokens: 0, completion_tokens: 0, credits: 0 });
+
+    for (const bucket of this.buckets.values()) {
+      if (since && bucket.day < since) continue;
+      if (until && bucket.day > until) continue;
+      if (key && bucket.key !== key) continue;
+      add(total, bucket);
+      add(byKey[bucket.key] ||= empty(), bucket);
+      add(byModel[bucket.model] ||= empty(), bucket);
+    }
+    return { object: 'usage.report', since: since || null, until: until || null, total, by_key: byKey, by_model: byModel };
+  }
+};
+
+UsageLedger.init();
+
+/**
+ * Prometheus 指标注册表，GET /metrics 以文本格式输出
+ * counter / histogram 在请求路径上累加；账号、熔断等状态类 gauge 用 gauge() 注册，每次采集时重新读取
+ */
+const Metrics = {
+  prefix: 'moss_',
+  durationBuckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  families: new Map(), // name -> { type, help, buckets, collect, series: Map(labelKey -> { labels, value | counts/sum/count }) }
+
+  define: function(name, type, help, buckets) {
+    this.families.set(name, { type, help, buckets: buckets || this.durationBuckets, series: new Map() });
+  },
+
+  /**
+   * 采集时计算的 gauge，collect 返回 [labels, value] 列表
+   */
+  gauge: function(name, help, collect) {
+    this.define(name, 'gauge', help);
+    this.families.get(name).collect = collect;
+  },
+
+  series: function(name, labels) {
+    const family = this.families.get(name);
+    const key = JSON.stringify(labels);
+    if (!family.series.has(key)) {
+      family.series.set(key, family.type === 'histogram'
+        ? { labels, counts: family.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 });
+    }
+    return family.series.get(key);
+  },
+
+  inc: function(name, labels = {}, value = 1) {
+    this.series(name, labels).value += value;
+  },
+
+  set: function(name, labels, value) {
+    this.series(name, labels).value = value;
+  },
+
+  observe: function(name, labels, seconds) {
+    const entry = this.series(name, labels);
+    this.families.get(name).buckets.forEach((bound, i) => {
+      if (seconds <= bound) entry.counts[i] += 1;
+    });
+    entry.sum += seconds;
+    entry.count += 1;
+  },
+
+  formatLabels: function(labels) {
+    const pairs = Object.entries(labels)
+      .map(([k, v]) => `${k}="${String(v ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+  },
+
+  render: function() {
+    const lines = [];
+    for (const [name, family] of this.families) {
+      if (family.collect) {
+        family.series.clear();
+        for (const [labels, value] of family.collect()) this.set(name, labels, value);
+      }
+      const full = this.prefix + name;
+      lines.push(`# HELP ${full} ${family.help}`, `# TYPE ${full} ${family.type}`);
+      for (const entry of family.series.values()) {
+        if (family.type !== 'histogram') {
+          lines.push(`${full}${this.formatLabels(entry.labels)} ${entry.value}`);
+          continue;
+        }
+        family.buckets.forEach((bound, i) => {
+          lines.push(`${full}_bucket${this.formatLabels({ ...entry.labels, le: bound })} ${entry.counts[i]}`);
+        });
+        lines.push(`${full}_bucket${this.formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${full}_sum${this.formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${full}_count${this.formatLabels(entry.labels)} ${entry.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+};
+
+Metrics.define('http_requests_total', 'counter', '客户端请求数');
+Metrics.define('http_request_duration_seconds', 'histogram', '客户端请求耗时');
+Metrics.define('upstream_request_duration_seconds', 'histogram', '上游接口耗时（到收到响应头为止）');
+Metrics.define('time_to_first_token_seconds', 'histogram', '从开始调用上游到收到首个内容/思维链片段的耗时', [0.25, 0.5, 1, 2, 3, 5, 8, 13, 20, 30]);
+Metrics.define('active_streams', 'gauge', '进行中的流式响应数');
+Metrics.define('upstream_errors_total', 'counter', '上游错误数（含已重试的失败尝试）');
+Metrics.define('upstream_logins_total', 'counter', '上游账号登录次数');
+Metrics.define('credits_consumed_total', 'counter', '消耗的上游次数');
+Metrics.set('active_streams', {}, 0);
+
+/**
+ * 限流配置与限流器注册表
+ * 维度：客户端 Key（key:<id>）与上游账号（account:<id>），各自可单独配置，未配置的项取环境变量默认值
+ */
+const RateLimiter = {
+  queueTimeoutMs: Number(process.env.QUEUE_TIMEOUT_MS) || 30000,
+  defaults: {
+    key: {
+      rpm: Number(process.env.KEY_RPM_LIMIT) || 0,
+      concurrency: Number(process.env.KEY_CONCURRENCY_LIMIT) || 0,
+      dailyCredits: Number(process.env.KEY_DAILY_CREDITS) || 0
+    },
+    account: {
+      rpm: Number(process.env.ACCOUNT_RPM_LIMIT) || 0,
+      concurrency: Number(process.env.ACCOUNT_CONCURRENCY_LIMIT) || 0,
+      dailyCredits: Number(process.env.ACCOUNT_DAILY_CREDITS) || 0
+    }
+  },
+  limiters: new Map(),
+
+  get: function(type, id, overrides = {}) {
+    const scope = `${type}:${id}`;
+    if (!this.limiters.has(scope)) this.limiters.set(scope, new Limiter());
+    const limiter = this.limiters.get(scope);
+    limiter.scope = scope;
+    limiter.limits = { ...this.defaults[type], ...overrides };
+    return limiter;
+  },
+
+  creditsExhausted: function(limiter) {
+    return limiter.limits.dailyCredits > 0 && UsageLedger.creditsToday(limiter.scope) >= limiter.limits.dailyCredits;
+  },
+
+  /**
+   * 当前维度是否可以立即承接新请求（账号选择时使用）
+   */
+  isUsable: function(limiter) {
+    return limiter.checkRate().ok && !this.creditsExhausted(limiter) && limiter.hasFreeSlot();
+  },
+
+  secondsToNextDay: function() {
+    const now = new Date();
+    const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((next - now.getTime()) / 1000);
+  }
+};
+
+const formatResetSeconds = (ms) => `${Math.max(1, Math.ceil(ms / 1000))}s`;
+
+// ==========================================
+// 2. 中间件链 (Middleware Chain)
+// ==========================================
+
+app.use((req, res, next) => {
+  req.requestId = crypto.randomUUID();
+  req.logContext = { requestId: req.requestId };
+  // 所有响应都带上请求ID，便于按 /admin/logs?requestId= 排查
+  res.setHeader('X-Request-ID', req.requestId);
+  next();
+});
+
+/**
+ * 请求指标的 model 标签：只取实际提供服务的模型或目录中的模型，其余记为 unknown，避免客户端随意制造时间序列
+ * 未通过认证的请求不带模型
+ */
+const metricsModel = (req, res) => {
+  if (!req.clientId) return '';
+  const model = res.getHeader('X-Moss-Served-Model') || req.body?.model;
+  if (typeof model !== 'string' || !model) return '';
+  return ModelCatalog.find(model) ? model : 'unknown';
+};
+
+app.use((req, res, next) => {
+  const start = Date.now();
+  res.on('finish', () => {
+    const duration = Date.now() - start;
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    Metrics.inc('http_requests_total', {
+      route, model: metricsModel(req, res), key: req.clientId || 'anonymous', status: res.statusCode
+    });
+    Metrics.observe('http_request_duration_seconds', { route }, duration / 1000);
+    // 仅记录慢请求 (>2s) 或 错误请求，减少日志 I/O 压力
+    if (duration > 2000 || res.statusCode >= 400) {
+      Logger.info(`Request completed`, {
+        ...req.logContext,
+        method: req.method,
+        url: req.url,
+        status: res.statusCode,
+        duration: `${duration}ms`,
+        ip: req.ip
+      });
+    }
+  });
+  next();
+});
+
+app.use(cors());
+app.use(express.json({ limit: '10mb' }));
+// 请求上下文在 body 解析之后进入：body-parser 在流事件回调里调用 next，会丢失之前建立的异步上下文
+app.use((req, res, next) => requestContext.run(req.logContext, next));
+
+ // ... (接上一段代码: const asyncHandler = (fn) => ...)
+
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+/**
+ * OpenAI 风格的接口错误，由全局错误处理器按 status 输出
+ */
+class ApiError extends Error {
+  constructor(status, message, { type = 'invalid_request_error', code = null, param = null, headers = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.type = type;
+    this.code = code;
+    this.param = param;
+    this.headers = headers;
+  }
+
+  toJSON() {
+    return { error: { message: this.message, type: this.type, param: this.param, code: this.code } };
+  }
+
+  /**
+   * Anthropic 协议的错误格式，类型按 HTTP 状态码映射
+   */
+  toAnthropic() {
+    const types = { 400: 'invalid_request_error', 401: 'authentication_error', 403: 'permission_error', 404: 'not_found_error', 429: 'rate_limit_error', 503: 'overloaded_error' };
+    return { type: 'error', error: { type: types[this.status] || 'api_error', message: this.message } };
+  }
+}
+
+/**
+ * 上游错误翻译表：按 msg 关键字匹配，自上而下取第一条
+ */
+const UPSTREAM_ERROR_RULES = [
+  { pattern: /下线|维护|暂不可用|繁忙/, status: 503, type: 'server_error', code: 'model_unavailable' },
+  { pattern: /模型不存在|不支持该模型|无效的模型/, status: 404, type: 'invalid_request_error', code: 'model_not_found', param: 'model' },
+  { pattern: /次数不足|余额不足|额度|用完|耗尽|充值/, status: 429, type: 'insufficient_quota', code: 'insufficient_quota' },
+  { pattern: /频繁|太快|稍后再发/, status: 429, type: 'requests', code: 'rate_limit_exceeded' },
+  { pattern: /登录|token|过期|失效|未授权/i, status: 401, type: 'invalid_request_error', code: 'invalid_api_key' },
+  { pattern: /上下文|过长|超出.*长度/, status: 400, type: 'invalid_request_error', code: 'context_length_exceeded', param: 'messages' },
+  { pattern: /违规|敏感|不合规/, status: 400, type: 'invalid_request_error', code: 'content_policy_violation', param: 'messages' },
+  { pattern: /参数|不能为空|格式错误/, status: 400, type: 'invalid_request_error', code: 'invalid_request' }
+];
+
+const translateUpstreamError = (message, httpStatus) => {
+  const text = message || '上游服务异常';
+  const rule = UPSTREAM_ERROR_RULES.find(r => r.pattern.test(text));
+  if (rule) return new ApiError(rule.status, text, rule);
+
+  if (httpStatus === 401 || httpStatus === 403) {
+    return new ApiError(401, text, { code: 'invalid_api_key' });
+  }
+  if (httpStatus === 429) {
+    return new ApiError(429, text, { type: 'requests', code: 'rate_limit_exceeded' });
+  }
+  if (httpStatus >= 500) {
+    return new ApiError(503, text, { type: 'server_error', code: 'upstream_unavailable' });
+  }
+  return new ApiError(502, text, { type: 'server_error', code: 'upstream_error' });
+};
+
+// ==========================================
+// 3. 核心业务逻辑 (Core Business Logic)
+// ==========================================
+
+// 上游 CodeMoss 接口地址，指向 mock-upstream.js 即可脱离真实账号离线运行
+const MOSS_BASE_URL = (process.env.MOSS_BASE_URL || 'https://jiangsu.codemoss.vip/luomacode-api').replace(/\/+$/, '');
+
+/**
+ * 上游录制：设置 UPSTREAM_RECORD_DIR 后，发往 MOSS_BASE_URL 的每次请求/响应保存为一个 fixture，可直接交给 mock-upstream.js 回放
+ * Token、密码、邮箱、uid 等字段脱敏，会话ID、登录 Token、nonce 替换为 {{conversationId}} / {{token}} / {{nonce}} 占位符
+ */
+const UpstreamRecorder = {
+  dir: process.env.UPSTREAM_RECORD_DIR || '',
+  sequence: 0,
+  secretKeys: /^(token|logintoken|password|email|uid|identityid|apikey|phone|mobile)$/i,
+  jwtPattern: /^eyJ[\w-]+\.[\w-]+\.[\w-]*$/,
+
+  // 上游业务接口都是 POST，健康检查等探测请求不录制
+  shouldRecord: function(url, options) {
+    return Boolean(this.dir) && url.startsWith(MOSS_BASE_URL) && options.method === 'POST';
+  },
+
+  /**
+   * 克隆响应体在后台读取，不影响调用方按流消费原响应
+   */
+  capture: function(url, options, response) {
+    response.clone().text()
+      .then(text => this.save(url, options, response, text))
+      .catch(err => Logger.warn('上游录制失败', { url, error: err.message }));
+  },
+
+  save: function(url, options, response, text) {
+    const route = url.slice(MOSS_BASE_URL.length).split('?')[0];
+    const request = parseJsonSafe(options.body);
+    const placeholders = new Map();
+    if (request?.options?.conversationId) placeholders.set(String(request.options.conversationId), '{{conversationId}}');
+    if (request?.options?.nonce) placeholders.set(request.options.nonce, '{{nonce}}');
+
+    // 普通接口返回 JSON，补全接口返回 NDJSON，逐行保存为 events
+    const body = parseJsonSafe(text);
+    const events = body === null && text.includes('\n')
+      ? text.split('\n').filter(line => line.trim()).map(line => parseJsonSafe(line) ?? line)
+      : null;
+    if (body?.loginToken) placeholders.set(body.loginToken, '{{token}}');
+    if (body?.list?.[0]?.id) placeholders.set(String(body.list[0].id), '{{conversationId}}');
+
+    const fixture = {
+      name: `${route.split('/').pop()}-${response.status}`,
+      recordedAt: new Date().toISOString(),
+      match: { path: route, ...(request?.prompt && { prompt: request.prompt }) },
+      request: this.redact(request, placeholders),
+      response: {
+        status: response.status,
+        ...(events ? { events: this.redact(events, placeholders) }
+          : body !== null ? { body: this.redact(body, placeholders) } : { text })
+      }
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const fileName = `${Date.now()}-${String(++this.sequence).padStart(4, '0')}-${fixture.name}.json`;
+    fs.writeFileSync(path.join(this.dir, fileName), JSON.stringify(fixture, null, 2));
+    Logger.debug('已录制上游交互', { file: fileName });
+  },
+
+  redact: function(value, placeholders) {
+    if (typeof value === 'string' || typeof value === 'number') {
+      if (placeholders.has(String(value))) return placeholders.get(String(value));
+      return typeof value === 'string' && this.jwtPattern.test(value) ? '[REDACTED]' : value;
+    }
+    if (Array.isArray(value)) return value.map(item => this.redact(item, placeholders));
+    if (!value || typeof value !== 'object') return value;
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.secretKeys.test(key) && item != null
+        ? placeholders.get(String(item)) ?? '[REDACTED]'
+        : this.redact(item, placeholders);
+    }
+    return result;
+  }
+};
+
+const parseJsonSafe = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * 封装的 Fetch 请求工具
+ * 特性：自动超时控制、连接复用(Agent)、错误处理
+ * timeout 只限制到收到响应头为止；options.signal（如客户端断开）在读取响应体期间同样可以中止请求
+ */
+const fetchClient = async (url, options = {}, timeout = 30000) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const { signal, ...fetchOptions } = options;
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+
+  // 动态导入 node-fetch
+  const fetch = (await import('node-fetch')).default;
+
+  const endpoint = url.startsWith(MOSS_BASE_URL) ? url.slice(MOSS_BASE_URL.length).split('?')[0] || '/' : null;
+  const start = Date.now();
+  try {
+    const response = await fetch(url, {
+      ...fetchOptions,
+      agent: fetchOptions.agent || (url.startsWith('https') ? httpsAgent : undefined), // 使用长连接 Agent
+      signal: controller.signal
+    });
+    if (endpoint) Metrics.observe('upstream_request_duration_seconds', { endpoint, status: response.status }, (Date.now() - start) / 1000);
+    if (UpstreamRecorder.shouldRecord(url, fetchOptions)) UpstreamRecorder.capture(url, fetchOptions, response);
+    return response;
+  } catch (err) {
+    if (endpoint) Metrics.observe('upstream_request_duration_seconds', { endpoint, status: 'error' }, (Date.now() - start) / 1000);
+    throw err;
+  } finally {
+    clearTimeout(timeoutId); // 清除定时器
+  }
+};
+
+/**
+ * 解析 JWT 的 exp 声明（毫秒时间戳），不是 JWT 或没有 exp 时返回 null
+ */
+const decodeTokenExpiry = (token) => {
+  const payload = String(token || '').split('.')[1];
+  if (!payload) return null;
+  try {
+    const { exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// 登录获取token的函数
+const loginAndGetToken = async ({ email, password }) => {
+  try {
+    const response = await fetchClient(`${MOSS_BASE_URL}/user/login`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      },
+      body: JSON.stringify({ email, password })
+    }, 15000); // 登录请求15秒超时
+
+    // HTTP 层面的失败只按状态码归类，不套用消息规则：这类故障是暂时的，不代表账号被拒
+    if (!response.ok) {
+      const text = `上游登录接口返回 HTTP ${response.status}`;
+      if (response.status === 429) throw new ApiError(429, text, { type: 'requests', code: 'rate_limit_exceeded' });
+      if (response.status >= 500) throw new ApiError(503, text, { type: 'server_error', code: 'upstream_unavailable' });
+      throw new ApiError(502, text, { type: 'server_error', code: 'upstream_error' });
+    }
+
+    const data = await response.json();
+    if (data.code === 0 && data.loginToken) {
+      Logger.info('账号自动登录成功', { account: maskKey(email) });
+      return data.loginToken;
+    }
+    if (data.code === 0) {
+      throw new ApiError(502, '登录返回数据格式错误', { type: 'server_error', code: 'upstream_error' });
+    }
+    // 上游明确拒绝：次数用完按额度处理，其余视为账号密码被拒（code=login_failed），两者都会让账号冷却
+    const text = `登录失败: ${data.msg || `code ${data.code}`}`;
+    const quota = UPSTREAM_ERROR_RULES.find(rule => rule.code === 'insufficient_quota');
+    if (quota.pattern.test(text)) throw new ApiError(429, text, quota);
+    throw new ApiError(401, text, { code: 'login_failed' });
+  } catch (error) {
+    Logger.error('登录过程发生异常', error);
+    throw error;
+  }
+};
+
+/**
+ * 上游账号池
+ * 账号来自 accounts.json（ACCOUNTS_FILE）或环境变量 MOSS_ACCOUNTS="邮箱:密码;邮箱:密码"
+ * 按需登录，round-robin / least-used 分配，额度耗尽或登录失败的账号进入冷却
+ */
+const AccountPool = {
+  filePath: process.env.ACCOUNTS_FILE || path.join(__dirname, 'accounts.json'),
+  strategy: process.env.ACCOUNT_STRATEGY || 'round-robin',
+  cooldownMs: Number(process.env.ACCOUNT_COOLDOWN_MS) || 10 * 60 * 1000,
+  accounts: [],
+  cursor: 0,
+  refreshMarginMs: Number(process.env.TOKEN_REFRESH_MARGIN_MS) || 5 * 60 * 1000,
+  logins: new Map(), // accountId -> 进行中的登录
+  refreshTimers: new Map(), // accountId -> 后台续期定时器
+
+  load: function() {
+    let entries = [];
+    if (fs.existsSync(this.filePath)) {
+      try {
+        const config = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        entries = Array.isArray(config) ? config : (config.accounts || []);
+        if (config.strategy) this.strategy = config.strategy;
+        if (config.cooldownMs) this.cooldownMs = config.cooldownMs;
+      } catch (err) {
+        Logger.error('账号配置文件解析失败', err);
+      }
+    }
+    if (process.env.MOSS_ACCOUNTS) {
+      for (const pair of process.env.MOSS_ACCOUNTS.split(';')) {
+        const sep = pair.indexOf(':');
+        if (sep > 0) entries.push({ email: pair.slice(0, sep).trim(), password: pair.slice(sep + 1).trim() });
+      }
+    }
+
+    this.accounts = entries
+      .filter(e => e?.email && e?.password)
+      .map(e => ({
+        id: e.id || e.email,
+        email: e.email,
+        password: e.password,
+        limits: e.limits || {},
+        cooldownUntil: 0,
+        lastError: null,
+        inflight: 0,
+        requests: 0,
+        tokenExpiresAt: null
+      }));
+
+    if (!this.accounts.length) {
+      Logger.warn('未配置上游账号，默认Key将不可用，请配置 accounts.json 或 MOSS_ACCOUNTS');
+    } else {
+      Logger.info('上游账号池已加载', { accounts: this.accounts.length, strategy: this.strategy });
+    }
+  },
+
+  get: function(id) {
+    return this.accounts.find(a => a.id === id) || null;
+  },
+
+  isAvailable: function(account) {
+    return account.cooldownUntil <= Date.now();
+  },
+
+  limiterFor: function(account) {
+    return RateLimiter.get('account', account.id, account.limits);
+  },
+
+  /**
+   * 未冷却且未触发账号级限流，可以立即承接请求
+   */
+  isUsable: function(account) {
+    return this.isAvailable(account) && RateLimiter.isUsable(this.limiterFor(account));
+  },
+
+  pick: function(exclude = new Set()) {
+    const candidates = this.accounts.filter(a => !exclude.has(a.id) && this.isUsable(a));
+    if (!candidates.length) return null;
+
+    if (this.strategy === 'least-used') {
+      return candidates.reduce((best, a) =>
+        (a.inflight < best.inflight || (a.inflight === best.inflight && a.requests < best.requests)) ? a : best);
+    }
+    this.cursor = (this.cursor + 1) % candidates.length;
+    return candidates[this.cursor];
+  },
+
+  /**
+   * 获取账号 Token，缓存的 Token 到了续期时间（exp 前 TOKEN_REFRESH_MARGIN_MS）则重新登录
+   */
+  getToken: async function(account) {
+    const cached = await userTokenStore.get(account.id);
+    if (cached && !this.needsRefresh(cached)) return cached.token;
+    return this.login(account);
+  },
+
+  needsRefresh: function(entry) {
+    return entry.refreshAt != null && entry.refreshAt <= Date.now();
+  },
+
+  /**
+   * 登录账号，同一账号的并发登录合并为一次
+   */
+  login: function(account) {
+    if (!this.logins.has(account.id)) {
+      const login = this.loginExclusive(account).finally(() => this.logins.delete(account.id));
+      this.logins.set(account.id, login);
+    }
+    return this.logins.get(account.id);
+  },
+
+  /**
+   * 持有账号的登录锁后再查一次缓存：其他 worker 刚登录拿到的 Token 直接复用，不重复登录
+   */
+  loginExclusive: async function(account) {
+    const release = await loginLocks.acquire(account.id);
+    try {
+      const cached = await userTokenStore.get(account.id);
+      if (cached && !this.needsRefresh(cached)) {
+        account.tokenExpiresAt = cached.expiresAt;
+        this.scheduleRefresh(account, cached.refreshAt);
+        return cached.token;
+      }
+
+      let token;
+      try {
+        token = await loginAndGetToken(account);
+      } catch (err) {
+        Metrics.inc('upstream_logins_total', { account: maskKey(account.email), result: 'failure' });
+        throw err;
+      }
+      Metrics.inc('upstream_logins_total', { account: maskKey(account.email), result: 'success' });
+      const expiresAt = decodeTokenExpiry(token);
+      const lifetime = expiresAt == null ? 0 : expiresAt - Date.now();
+      // 有效期比续期提前量还短时改为过半续期；exp 已过（时钟偏差）则不跟踪，靠上游拒绝后重登兜底
+      const refreshAt = lifetime > 0 ? expiresAt - Math.min(this.refreshMarginMs, lifetime / 2) : null;
+      await userTokenStore.set(account.id, { token, expiresAt, refreshAt });
+      account.tokenExpiresAt = expiresAt;
+      this.scheduleRefresh(account, refreshAt);
+      return token;
+    } finally {
+      release();
+    }
+  },
+
+  /**
+   * 到续期时间后在后台重新登录，请求不必同步等待登录
+   * Token 已被清理（失效或 24 小时无人使用）的账号不再续期
+   */
+  scheduleRefresh: function(account, refreshAt) {
+    clearTimeout(this.refreshTimers.get(account.id));
+    this.refreshTimers.delete(account.id);
+    if (refreshAt == null) return;
+
+    const timer = setTimeout(() => {
+      this.refreshTimers.delete(account.id);
+      userTokenStore.has(account.id)
+        .then(cached => cached && this.isAvailable(account) && this.login(account))
+        .catch(err => Logger.warn('Token 续期失败', { account: maskKey(account.email), error: err.message }));
+    }, Math.max(0, refreshAt - Date.now()));
+    timer.unref();
+    this.refreshTimers.set(account.id, timer);
+  },
+
+  /**
+   * 上游拒绝了 staleToken：其他请求已换到新 Token 时直接复用，否则重新登录（与进行中的登录合并）
+   */
+  refreshToken: async function(account, staleToken) {
+    const cached = await userTokenStore.get(account.id);
+    if (cached && cached.token !== staleToken && !this.needsRefresh(cached)) return cached.token;
+    if (cached?.token === staleToken) await this.invalidateToken(account);
+    return this.login(account);
+  },
+
+  invalidateToken: async function(account) {
+    account.tokenExpiresAt = null;
+    clearTimeout(this.refreshTimers.get(account.id));
+    this.refreshTimers.delete(account.id);
+    await userTokenStore.delete(account.id);
+  },
+
+  /**
+   * 启动时恢复上次保存的 Token 并安排续期，重启后不必重新登录
+   */
+  restoreTokens: async function() {
+    for (const account of this.accounts) {
+      const cached = await userTokenStore.get(account.id);
+      if (!cached) continue;
+      account.tokenExpiresAt = cached.expiresAt;
+      this.scheduleRefresh(account, cached.refreshAt);
+    }
+  },
+
+  /**
+   * 分配账号：优先使用会话绑定的账号，不可用时换一个可用账号
+   * boundId 为 Key 绑定的账号，设置后只会使用该账号
+   * 所有账号并发已满时排队等待，超过 QUEUE_TIMEOUT_MS 仍无空位则拒绝
+   */
+  acquire: async function(preferredId, boundId) {
+    const excluded = new Set(boundId ? this.accounts.filter(a => a.id !== boundId).map(a => a.id) : []);
+    const deadline = Date.now() + RateLimiter.queueTimeoutMs;
+
+    for (;;) {
+      const tried = new Set(excluded);
+      const preferred = preferredId && !tried.has(preferredId) && this.get(preferredId);
+      let account = preferred && this.isUsable(preferred) ? preferred : this.pick(tried);
+
+      while (account) {
+        tried.add(account.id);
+        try {
+          const token = await this.getToken(account);
+          const limiter = this.limiterFor(account);
+          limiter.hit();
+          const releaseSlot = await limiter.acquireSlot(Math.max(0, deadline - Date.now()));
+          if (releaseSlot) {
+            account.inflight += 1;
+            account.requests += 1;
+            let released = false;
+            const release = () => {
+              if (released) return;
+              released = true;
+              releaseSlot();
+              account.inflight -= 1;
+              this.notify();
+            };
+            return { account, token, release };
+          }
+        } catch (err) {
+          // 只有上游明确拒绝登录或提示次数不足才说明账号本身不可用；网络、上游 5xx、状态存储等故障直接返回，不冷却账号
+          if (!['login_failed', 'insufficient_quota'].includes(err.code)) throw err;
+          this.cooldown(account, err.message);
+        }
+        account = this.pick(tried);
+      }
+
+      const candidates = this.accounts.filter(a => !excluded.has(a.id) && this.isAvailable(a));
+      const busy = candidates.some(a => {
+        const limiter = this.limiterFor(a);
+        return !limiter.hasFreeSlot() && limiter.checkRate().ok && !RateLimiter.creditsExhausted(limiter);
+      });
+      const remaining = deadline - Date.now();
+      if (busy && remaining > 0) {
+        await this.waitForSlot(remaining);
+        continue;
+      }
+      throw this.unavailableError(candidates);
+    }
+  },
+
+  waiters: [],
+
+  waitForSlot: function(timeoutMs) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, timeoutMs);
+      this.waiters.push(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  },
+
+  notify: function() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(wake => wake());
+  },
+
+  /**
+   * 没有可用账号时，按原因返回 429（限流/额度）或 503（未配置/全部冷却）
+   */
+  unavailableError: function(candidates) {
+    if (!this.accounts.length) {
+      return new ApiError(503, '未配置上游账号', { type: 'server_error', code: 'no_available_account' });
+    }
+    const limiters = candidates.map(a => this.limiterFor(a));
+    const rateLimited = limiters.map(l => l.checkRate()).filter(r => !r.ok);
+    if (rateLimited.length) {
+      const resetMs = Math.min(...rateLimited.map(r => r.resetMs));
+      return new ApiError(429, '上游账号请求过于频繁，请稍后再试', {
+        type: 'requests', code: 'rate_limit_exceeded', headers: { 'Retry-After': String(Math.ceil(resetMs / 1000)) }
+      });
+    }
+    if (limiters.length && limiters.some(l => RateLimiter.creditsExhausted(l))) {
+      return new ApiError(429, '上游账号今日额度已用完', {
+        type: 'insufficient_quota', code: 'insufficient_quota', headers: { 'Retry-After': String(RateLimiter.secondsToNextDay()) }
+      });
+    }
+    if (limiters.some(l => !l.hasFreeSlot())) {
+      return new ApiError(429, '上游账号繁忙，排队超时', {
+        type: 'requests', code: 'concurrency_limit_exceeded', headers: { 'Retry-After': '1' }
+      });
+    }
+    return new ApiError(503, '暂无可用的上游账号，请稍后再试', { type: 'server_error', code: 'no_available_account' });
+  },
+
+  cooldown: function(account, reason) {
+    account.cooldownUntil = Date.now() + this.cooldownMs;
+    account.lastError = reason;
+    this.invalidateToken(account)
+      .catch(err => Logger.warn('清除账号 Token 失败', { account: maskKey(account.email), error: err.message }));
+    Logger.warn('上游账号进入冷却', { account: maskKey(account.email), reason, until: new Date(account.cooldownUntil).toISOString() });
+  },
+
+  /**
+   * 根据上游错误更新账号状态：额度耗尽冷却，Token 失效则下次重新登录
+   */
+  reportError: function(account, error) {
+    if (!account || !(error instanceof ApiError)) return;
+    if (error.code === 'insufficient_quota') this.cooldown(account, error.message);
+    else if (error.status === 401) {
+      this.invalidateToken(account)
+        .catch(err => Logger.warn('清除账号 Token 失败', { account: maskKey(account.email), error: err.message }));
+    }
+  }
+};
+
+AccountPool.load();
+AccountPool.restoreTokens().catch(err => Logger.error('恢复账号 Token 失败', err));
+
+Metrics.gauge('account_available', '上游账号是否可用（1 可用，0 冷却中）',
+  () => AccountPool.accounts.map(a => [{ account: maskKey(a.email) }, AccountPool.isAvailable(a) ? 1 : 0]));
+Metrics.gauge('account_inflight', '上游账号进行中的请求数',
+  () => AccountPool.accounts.map(a => [{ account: maskKey(a.email) }, a.inflight]));
+Metrics.gauge('account_token_expires_in_seconds', '上游账号 Token 剩余有效期（未登录或无 exp 时不输出）', () => AccountPool.accounts
+  .filter(a => a.tokenExpiresAt != null)
+  .map(a => [{ account: maskKey(a.email) }, Math.round((a.tokenExpiresAt - Date.now()) / 1000)]));
+
+/**
+ * 客户端 API Key 管理
+ * 存储在 data/keys.json，仅保存 Key 的 SHA-256，明文只在创建/轮换时返回一次
+ */
+const KeyStore = {
+  filePath: path.join(DATA_DIR, 'keys.json'),
+  keys: [],
+  byHash: new Map(),
+  mtimeMs: 0,
+
+  load: function() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+        this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).keys || [];
+      }
+    } catch (err) {
+      Logger.error('API Key 文件解析失败', err);
+    }
+    this.reindex();
+    Logger.info('API Key 已加载', { keys: this.keys.length });
+  },
+
+  /**
+   * keys.json 被其他 worker 改写过则重新加载；修改前先刷新，避免用旧数据覆盖其他 worker 的变更
+   */
+  refresh: function() {
+    const mtimeMs = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : 0;
+    if (mtimeMs !== this.mtimeMs) this.load();
+  },
+
+  reindex: function() {
+    this.byHash = new Map(this.keys.map(k => [k.hash, k]));
+  },
+
+  save: function() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ keys: this.keys }, null, 2));
+    fs.renameSync(tmpPath, this.filePath); // 原子替换，避免写一半被读到
+    this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+    this.reindex();
+  },
+
+  hash: function(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  },
+
+  generate: function() {
+    return `sk-moss-${crypto.randomBytes(24).toString('base64url')}`;
+  },
+
+  findByKey: function(key) {
+    const hash = this.hash(key);
+    // 集群模式下可能是其他 worker 刚创建的 Key，文件监听还没来得及重新加载
+    if (!this.byHash.has(hash) && cluster.isWorker) this.refresh();
+    return this.byHash.get(hash) || null;
+  },
+
+  get: function(id) {
+    return this.keys.find(k => k.id === id) || null;
+  },
+
+  /**
+   * 校验 Key 状态，返回不可用原因
+   */
+  checkUsable: function(record) {
+    if (!record.enabled) return 'API Key 已被禁用或吊销';
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) return 'API Key 已过期';
+    return null;
+  },
+
+  isModelAllowed: function(record, model) {
+    if (!record?.models?.length) return true;
+    return record.models.includes(model) || record.models.includes(baseModelName(model));
+  },
+
+  sanitize: function(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  },
+
+  create: function({ owner, account = null, models = [], limits = {}, commands = null, expiresAt = null, enabled = true }) {
+    this.refresh();
+    const key = this.generate();
+    const record = {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      hash: this.hash(key),
+      preview: maskKey(key),
+      owner,
+      account,
+      models,
+      limits,
+      commands,
+      expiresAt,
+      enabled,
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null
+    };
+    this.keys.push(record);
+    this.save();
+    return { key, record };
+  },
+
+  update: function(id, fields) {
+    this.refresh();
+    const record = this.get(id);
+    if (!record) return null;
+    Object.assign(record, fields);
+    this.save();
+    return record;
+  },
+
+  rotate: function(id) {
+    this.refresh();
+    const record = this.get(id);
+    if (!record) return null;
+    const key = this.generate();
+    record.hash = this.hash(key);
+    record.preview = maskKey(key);
+    record.rotatedAt = new Date().toISOString();
+    this.save();
+    return { key, record };
+  },
+
+  revoke: function(id) {
+    return this.update(id, { enabled: false, revokedAt: new Date().toISOString() });
+  }
+};
+
+KeyStore.load();
+// 集群模式下由其他 worker 新建/吊销的 Key 需要及时生效
+if (cluster.isWorker) fs.watchFile(KeyStore.filePath, { interval: 2000 }, () => KeyStore.refresh()).unref();
+
+// Token验证中间件
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  // Anthropic 客户端通过 x-api-key 传递 Key
+  const token = (authHeader && authHeader.split(' ')[1]) || req.headers['x-api-key'];
+
+  if (!token) {
+    return next(new ApiError(401, 'Missing token', { code: 'missing_token' }));
+  }
+
+  const apiKey = KeyStore.findByKey(token);
+  if (apiKey) {
+    const reason = KeyStore.checkUsable(apiKey);
+    if (reason) return next(new ApiError(401, reason, { code: 'invalid_api_key' }));
+    // 托管 Key 走账号池，具体账号在路由中按会话分配
+    req.apiKey = apiKey;
+    req.clientId = apiKey.id;
+    req.logContext.key = apiKey.id;
+    req.usePool = true;
+  } else if (process.env.ALLOW_PASSTHROUGH_TOKEN === 'true') {
+    // 兼容模式：未登记的 Bearer 值视为 CodeMoss Token 直接透传，已过期的 Token 无法代为重登，直接拒绝
+    const expiresAt = decodeTokenExpiry(token);
+    if (expiresAt != null && expiresAt <= Date.now()) {
+      return next(new ApiError(401, 'CodeMoss Token 已过期，请重新登录获取', { code: 'invalid_api_key' }));
+    }
+    req.clientId = `tok_${KeyStore.hash(token).slice(0, 16)}`;
+    req.logContext.key = req.clientId;
+    req.mossToken = token;
+  } else {
+    return next(new ApiError(401, 'Incorrect API key provided', { code: 'invalid_api_key' }));
+  }
+  next();
+};
+
+/**
+ * 管理接口鉴权：Authorization: Bearer <ADMIN_SECRET> 或 X-Admin-Secret
+ */
+const authenticateAdmin = (req, res, next) => {
+  const secret = process.env.ADMIN_SECRET;
+  if (!secret) {
+    return next(new ApiError(403, '管理接口未启用，请配置 ADMIN_SECRET', { type: 'permission_error', code: 'admin_disabled' }));
+  }
+  const provided = req.headers['x-admin-secret'] || req.headers['authorization']?.split(' ')[1] || '';
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(secret).digest();
+  if (!crypto.timingSafeEqual(a, b)) {
+    return next(new ApiError(401, 'Invalid admin secret', { code: 'invalid_admin_secret' }));
+  }
+  next();
+};
+
+/**
+ * 客户端 Key 限流：每分钟请求数、当日消耗次数、并发数（超限排队）
+ * 响应头与 OpenAI 保持一致：x-ratelimit-*，拒绝时附带 Retry-After
+ */
+const rateLimit = asyncHandler(async (req, res, next) => {
+  const limiter = RateLimiter.get('key', req.clientId, req.apiKey?.limits);
+  const rate = limiter.checkRate();
+  if (rate.limit) {
+    res.set({
+      'x-ratelimit-limit-requests': String(rate.limit),
+      'x-ratelimit-remaining-requests': String(Math.max(0, rate.remaining - 1)),
+      'x-ratelimit-reset-requests': formatResetSeconds(rate.resetMs || 60000)
+    });
+  }
+  if (!rate.ok) {
+    throw new ApiError(429, `Rate limit reached: ${rate.limit} requests per minute`, {
+      type: 'requests', code: 'rate_limit_exceeded', headers: { 'Retry-After': String(Math.ceil(rate.resetMs / 1000)) }
+    });
+  }
+  if (RateLimiter.creditsExhausted(limiter)) {
+    throw new ApiError(429, `今日额度已用完（${limiter.limits.dailyCredits} 次）`, {
+      type: 'insufficient_quota', code: 'daily_quota_exceeded', headers: { 'Retry-After': String(RateLimiter.secondsToNextDay()) }
+    });
+  }
+  limiter.hit();
+
+  // 排队期间客户端可能断开，此时拿到的槽位要立即归还
+  let closed = false;
+  res.once('close', () => { closed = true; });
+  const release = await limiter.acquireSlot(RateLimiter.queueTimeoutMs);
+  if (!release) {
+    throw new ApiError(429, `Too many concurrent requests (limit ${limiter.limits.concurrency})`, {
+      type: 'requests', code: 'concurrency_limit_exceeded', headers: { 'Retry-After': '1' }
+    });
+  }
+  if (closed) return release();
+  res.on('close', release);
+  next();
+});
+
+/**
+ * 校验当前 Key 是否允许使用该模型
+ */
+const assertModelAllowed = (req, model) => {
+  if (req.apiKey && !KeyStore.isModelAllowed(req.apiKey, model)) {
+    throw new ApiError(403, `The model '${model}' is not allowed for this API key`, {
+      type: 'permission_error', param: 'model', code: 'model_not_allowed'
+    });
+  }
+};
+
+/**
+ * 为请求分配上游 Token：直传 Token 原样使用，默认Key从账号池分配
+ * 返回的 account 在响应结束时自动归还
+ */
+const acquireUpstream = async (req, res, preferredAccountId) => {
+  if (!req.usePool) return { account: null, token: req.mossToken };
+  const lease = await AccountPool.acquire(preferredAccountId, req.apiKey?.account);
+  res.on('close', lease.release);
+  return lease;
+};
+
+const getVersionFromModel = (model) => model?.includes('-tmp') ? '2' : '1';
+
+// 模型名后缀：-tmp 切换助手，-thinking 开启思维链
+const THINKING_SUFFIX = '-thinking';
+const baseModelName = (model) => model.replace(/-tmp$/, '').replace(new RegExp(`${THINKING_SUFFIX}$`), '');
+
+/**
+ * 模型目录
+ * 以 model.json 为初始数据，可选从上游模型列表接口定时刷新（MODEL_LIST_URL）
+ */
+const ModelCatalog = {
+  filePath: path.join(__dirname, 'model.json'),
+  sourceUrl: process.env.MODEL_LIST_URL || '',
+  ttlMs: Number(process.env.MODEL_CATALOG_TTL_MS) || 6 * 60 * 60 * 1000, // 默认6小时刷新一次
+  groups: [],
+  index: new Map(),
+  loadedAt: 0,
+  refreshing: null,
+  // 可开启思维链输出的模型
+  reasoningModels: new Set((process.env.REASONING_MODELS || 'Pro/deepseek-ai/DeepSeek-R1,o1-preview')
+    .split(',').map(name => name.trim()).filter(Boolean)),
+
+  load: function() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.setGroups(data.data);
+      Logger.info(`模型目录已加载`, { models: this.index.size });
+    } catch (err) {
+      Logger.error('模型目录加载失败', err);
+    }
+  },
+
+  setGroups: function(groups) {
+    if (!Array.isArray(groups)) throw new Error('模型列表格式错误');
+    const index = new Map();
+    for (const group of groups) {
+      for (const model of group.models || []) {
+        if (model?.codeName) index.set(model.codeName, { model, group });
+      }
+    }
+    this.groups = groups;
+    this.index = index;
+    this.loadedAt = Date.now();
+  },
+
+  /**
+   * 按客户端传入的模型名查找，自动去掉 -tmp 助手后缀；推理模型额外接受 -thinking 后缀
+   */
+  find: function(modelId) {
+    if (!modelId) return null;
+    const name = modelId.replace(/-tmp$/, '');
+    const entry = this.index.get(name);
+    if (entry || !name.endsWith(THINKING_SUFFIX)) return entry || null;
+    const base = this.index.get(name.slice(0, -THINKING_SUFFIX.length));
+    return base && this.reasoningModels.has(base.model.codeName) ? base : null;
+  },
+
+  /**
+   * 是否支持开启思维链（openCot），目录外的模型按去掉后缀的名称判断
+   */
+  supportsReasoning: function(modelId) {
+    return this.reasoningModels.has(this.find(modelId)?.model.codeName || baseModelName(modelId));
+  },
+
+  variantsOf: function(model) {
+    const suffixes = this.reasoningModels.has(model.codeName)
+      ? ['-tmp', THINKING_SUFFIX, `${THINKING_SUFFIX}-tmp`]
+      : ['-tmp'];
+    return suffixes.map(suffix => `${model.codeName}${suffix}`);
+  },
+
+  toOpenAI: function({ model, group }, id = model.codeName) {
+    const isVariant = id !== model.codeName;
+    return {
+      id,
+      object: 'model',
+      created: Math.floor(this.loadedAt / 1000),
+      owned_by: 'codemoss',
+      root: model.codeName,
+      parent: isVariant ? model.codeName : null,
+      // 以下为非标准字段，供 Cherry Studio 等客户端展示
+      name: model.viewName,
+      description: model.desc,
+      tier: group.title,
+      context_length: model.maxToken,
+      system_tokens: model.systemToken,
+      cost_multiplier: model.multiple,
+      cost_description: model.multipleExplain,
+      capabilities: model.supportExtraFunTypes || [],
+      assistant_id: getVersionFromModel(id),
+      reasoning: this.reasoningModels.has(model.codeName),
+      variants: isVariant ? [] : this.variantsOf(model)
+    };
+  },
+
+  list: function() {
+    const result = [];
+    for (const entry of this.index.values()) {
+      result.push(this.toOpenAI(entry), ...this.variantsOf(entry.model).map(id => this.toOpenAI(entry, id)));
+    }
+    return result;
+  },
+
+  /**
+   * 从上游刷新目录，失败时保留旧数据
+   */
+  refresh: async function(getToken) {
+    if (!this.sourceUrl) return;
+    if (this.refreshing) return this.refreshing;
+
+    this.refreshing = (async () => {
+      try {
+        const token = await getToken();
+        const response = await fetchClient(this.sourceUrl, {
+          headers: { 'content-type': 'application/json', 'token': token }
+        }, 10000);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+
+        const data = await response.json();
+        if (data.code !== 0) throw new Error(data.msg || '模型列表返回异常');
+        this.setGroups(data.data);
+        Logger.info('模型目录已从上游刷新', { models: this.index.size });
+      } catch (err) {
+        Logger.warn('模型目录刷新失败，继续使用缓存', { error: err.message });
+        this.loadedAt = Date.now(); // 失败也推迟下次刷新，避免每个请求都打上游
+      } finally {
+        this.refreshing = null;
+      }
+    })();
+    return this.refreshing;
+  },
+
+  /**
+   * getToken 仅在确实需要刷新时调用，避免列模型时无谓登录
+   */
+  ensureFresh: async function(getToken) {
+    if (this.sourceUrl && Date.now() - this.loadedAt > this.ttlMs) {
+      await this.refresh(getToken);
+    }
+  }
+};
+
+ModelCatalog.load();
+
+/**
+ * 模型路由规则（routing.json，可通过 ROUTING_FILE 指定）
+ * - aliases：模型别名，如 gpt-4o → gpt-4o-2024-05-13
+ * - rules：按请求模型、Key、时间窗口改写目标模型，先匹配先生效
+ * - fallbacks / fallbackOn：目标模型返回指定错误码时依次尝试的备用模型
+ * - keys：按 Key ID 或 owner 覆盖以上配置，Key 自身的规则先于全局规则匹配
+ * 客户端可用 X-Moss-Routing: off 关闭改写，X-Moss-Fallback: off 关闭备用模型
+ */
+const Router = {
+  filePath: process.env.ROUTING_FILE || path.join(__dirname, 'routing.json'),
+  config: { aliases: {}, rules: [], fallbacks: {}, fallbackOn: [], keys: {} },
+
+  load: function() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.config = {
+        aliases: data.aliases || {},
+        rules: Array.isArray(data.rules) ? data.rules : [],
+        fallbacks: data.fallbacks || {},
+        fallbackOn: Array.isArray(data.fallbackOn) ? data.fallbackOn : ['model_unavailable', 'upstream_unavailable', 'upstream_timeout', 'upstream_error'],
+        keys: data.keys || {}
+      };
+      Logger.info('路由规则已加载', { rules: this.config.rules.length, aliases: Object.keys(this.config.aliases).length });
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        Logger.info('未找到路由规则文件，按请求的模型直接转发', { file: this.filePath });
+      } else {
+        Logger.error('路由规则加载失败，保留当前规则', err);
+      }
+    }
+  },
+
+  /**
+   * 当前 Key 生效的配置：Key ID 优先于 owner
+   */
+  overridesFor: function(req) {
+    const { keys } = this.config;
+    return (req.apiKey && (keys[req.apiKey.id] || keys[req.apiKey.owner])) || {};
+  },
+
+  /**
+   * 别名解析：先整名匹配，再去掉 -tmp / -thinking 后缀匹配并保留后缀
+   */
+  alias: function(aliases, model) {
+    if (aliases[model]) return aliases[model];
+    const base = baseModelName(model);
+    if (base !== model && aliases[base]) return aliases[base] + model.slice(base.length);
+    return model;
+  },
+
+  /**
+   * 时间窗口：windows 中任意一个满足即命中；同一窗口内 days 与 hours 需同时满足
+   * hours 形如 "20:00-08:00"，结束早于开始表示跨零点；utcOffset 为时区小时偏移
+   */
+  inSchedule: function(schedule, now = new Date()) {
+    if (!schedule) return true;
+    const offset = Number.isFinite(schedule.utcOffset) ? schedule.utcOffset : 8;
+    const local = new Date(now.getTime() + offset * 3600000);
+    const day = local.getUTCDay();
+    const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+    const toMinutes = (hhmm) => {
+      const [h, m = 0] = String(hhmm).split(':').map(Number);
+      return h * 60 + m;
+    };
+    const windows = schedule.windows || [schedule];
+    return windows.some(window => {
+      if (Array.isArray(window.days) && !window.days.includes(day)) return false;
+      if (!window.hours) return true;
+      const [start, end] = window.hours.split('-').map(toMinutes);
+      return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    });
+  },
+
+  matches: function(rule, req, requested, aliased) {
+    if (Array.isArray(rule.models) && !rule.models.some(m => m === '*' || m === requested || m === aliased)) return false;
+    if (Array.isArray(rule.keys) && !rule.keys.some(k => k === req.apiKey?.id || k === req.apiKey?.owner)) return false;
+    return this.inSchedule(rule.schedule);
+  },
+
+  /**
+   * 解析本次请求实际使用的模型及备用链
+   * 返回 { requested, model, rule, candidates }
+   */
+  resolve: function(req, requested) {
+    if (typeof requested !== 'string' || String(req.headers['x-moss-routing']).toLowerCase() === 'off') {
+      return { requested, model: requested, rule: null, candidates: [requested] };
+    }
+    const overrides = this.overridesFor(req);
+    const aliases = { ...this.config.aliases, ...overrides.aliases };
+    const aliased = this.alias(aliases, requested);
+    const rules = [...(overrides.rules || []), ...this.config.rules];
+    const rule = rules.find(r => r?.target && this.matches(r, req, requested, aliased)) || null;
+    const model = rule ? this.alias(aliases, rule.target) : aliased;
+
+    const candidates = [model];
+    if (String(req.headers['x-moss-fallback']).toLowerCase() !== 'off') {
+      const fallbacks = { ...this.config.fallbacks, ...overrides.fallbacks };
+      const chain = fallbacks[model] || fallbacks[baseModelName(model)] || fallbacks['*'] || [];
+      for (const fallback of chain) {
+        const target = this.alias(aliases, fallback);
+        if (!candidates.includes(target)) candidates.push(target);
+      }
+    }
+    return { requested, model, rule: rule?.name || null, candidates };
+  },
+
+  /**
+   * 备用模型是否具备请求用到的能力（needs 见 requiredCapabilities）
+   * 目录外的模型无从判断，按支持处理；思维链要求备用模型本身会开启推理
+   */
+  canServe: function(model, body, needs) {
+    if (needs.generation) return false;
+    const capabilities = ModelCatalog.find(model)?.model.supportExtraFunTypes;
+    if (capabilities && needs.types.some(type => !capabilities.includes(type))) return false;
+    return !needs.reasoning || resolveReasoning({ ...body, model });
+  },
+
+  /**
+   * 上游错误是否触发备用模型：已开始输出的请求不切换
+   */
+  shouldFallback: function(err, req, res) {
+    if (!(err instanceof ApiError) || res.headersSent) return false;
+    const fallbackOn = this.overridesFor(req).fallbackOn || this.config.fallbackOn;
+    return fallbackOn.includes(err.code);
+  },
+
+  /**
+   * 对外展示的别名列表（仅指向目录内模型的别名）
+   */
+  listAliases: function(req) {
+    const aliases = { ...this.config.aliases, ...this.overridesFor(req).aliases };
+    return Object.entries(aliases)
+      .map(([alias, target]) => ({ alias, entry: ModelCatalog.find(target) }))
+      .filter(({ alias, entry }) => entry && !ModelCatalog.find(alias));
+  }
+};
+
+Router.load();
+
+/**
+ * 上游重试策略：仅重试瞬时故障（5xx、连接失败/中断、超时），指数退避加随机抖动
+ */
+const RetryPolicy = {
+  maxRetries: parseInt(process.env.UPSTREAM_RETRY_ATTEMPTS ?? '2', 10),
+  baseDelayMs: parseInt(process.env.UPSTREAM_RETRY_BASE_MS, 10) || 500,
+  maxDelayMs: parseInt(process.env.UPSTREAM_RETRY_MAX_MS, 10) || 8000,
+  connectTimeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 30000,
+  retryableCodes: ['upstream_error', 'upstream_unavailable', 'upstream_timeout'],
+
+  isRetryable: function(err) {
+    return err instanceof ApiError && this.retryableCodes.includes(err.code);
+  },
+
+  delay: function(retry) {
+    const exp = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** retry);
+    return Math.round(exp / 2 + Math.random() * exp / 2);
+  }
+};
+
+/**
+ * 模型熔断：模型下线立即熔断，连续失败的请求（重试用尽后计一次）达到阈值后熔断
+ * 熔断期间路由跳过该模型；冷却结束后只放行一个请求试探，成功即恢复，失败则重新熔断
+ */
+const ModelHealth = {
+  cooldownMs: parseInt(process.env.MODEL_COOLDOWN_MS, 10) || 5 * 60 * 1000,
+  failureThreshold: parseInt(process.env.MODEL_FAILURE_THRESHOLD, 10) || 3,
+  probeTimeoutMs: 60 * 1000, // 试探请求迟迟没有结果（客户端断开、非瞬时错误）时，超过该时间允许下一个试探
+  models: new Map(),   // 基础模型名 -> { failures, openUntil, probeAt, lastError, lastFailureAt }
+
+  isAvailable: function(model) {
+    const state = this.models.get(baseModelName(model));
+    if (!state || !state.openUntil) return true;
+    const now = Date.now();
+    return state.openUntil <= now && !(state.probeAt && now - state.probeAt < this.probeTimeoutMs);
+  },
+
+  /**
+   * 占用试探名额：未熔断的模型直接放行，半开状态只有第一个请求能拿到
+   */
+  claim: function(model) {
+    if (!this.isAvailable(model)) return false;
+    const state = this.models.get(baseModelName(model));
+    if (state?.openUntil) state.probeAt = Date.now();
+    return true;
+  },
+
+  retryAfterMs: function(model) {
+    const state = this.models.get(baseModelName(model));
+    return state ? Math.max(0, state.openUntil - Date.now()) : 0;
+  },
+
+  recordSuccess: function(model) {
+    const name = baseModelName(model);
+    const state = this.models.get(name);
+    if (!state) return;
+    if (state.openUntil) Logger.info('模型已恢复', { model: name });
+    this.models.delete(name);
+  },
+
+  recordFailure: function(model, err) {
+    const tripsImmediately = err.code === 'model_unavailable';
+    if (!tripsImmediately && !RetryPolicy.isRetryable(err)) return;
+    const name = baseModelName(model);
+    const state = this.models.get(name) || { failures: 0, openUntil: 0, probeAt: 0, lastError: null, lastFailureAt: null };
+    state.failures += 1;
+    state.lastError = err.message;
+    state.lastFailureAt = new Date().toISOString();
+    if (tripsImmediately || state.failures >= this.failureThreshold) {
+      state.openUntil = Date.now() + this.cooldownMs;
+      state.probeAt = 0;
+      Logger.warn('模型熔断', { model: name, failures: state.failures, cooldownMs: this.cooldownMs, error: err.message });
+    }
+    this.models.set(name, state);
+  },
+
+  openError: function(model) {
+    const seconds = Math.ceil(this.retryAfterMs(model) / 1000);
+    return new ApiError(503, `模型 ${model} 暂时不可用，请稍后再试`, {
+      type: 'server_error', code: 'model_unavailable', headers: { 'Retry-After': String(seconds) }
+    });
+  },
+
+  snapshot: function() {
+    return [...this.models.entries()].map(([model, state]) => ({
+      model,
+      status: state.openUntil > Date.now() ? 'unhealthy' : (state.openUntil ? 'probing' : 'degraded'),
+      failures: state.failures,
+      open_until: state.openUntil ? new Date(state.openUntil).toISOString() : null,
+      last_error: state.lastError,
+      last_failure_at: state.lastFailureAt
+    }));
+  }
+};
+
+Metrics.gauge('model_circuit_open', '模型是否处于熔断中（1 熔断）',
+  () => [...ModelHealth.models.entries()].map(([model, state]) => [{ model }, state.openUntil > Date.now() ? 1 : 0]));
+Metrics.gauge('model_consecutive_failures', '模型连续失败次数',
+  () => [...ModelHealth.models.entries()].map(([model, state]) => [{ model }, state.failures]));
+
+/**
+ * 统一发送系统消息（适配流式/非流式）
+ */
+const sendSystemMessage = (res, content, isStream, model, requestId) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const id = `chatcmpl-${requestId}`;
+
+  if (isStream) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Request-ID': requestId
+    });
+    const chunk = {
+      id,
+      object: 'chat.completion.chunk',
+      created: timestamp,
+      model: model,
+      choices: [{
+        index: 0,
+        delta: { role: 'assistant', content },
+        finish_reason: null
+      }]
+    };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    res.write('data: [DONE]\n\n');
+    res.end();
+  } else {
+    res.json({
+      id,
+      object: 'chat.completion',
+      created: timestamp,
+      model: model,
+      choices: [{
+        message: { role: 'assistant', content },
+        finish_reason: 'stop',
+        index: 0
+      }]
+    });
+  }
+};
+
+// 创建新会话
+const createNewConversation = async (token, model) => {
+  try {
+    const response = await fetchClient(`${MOSS_BASE_URL}/conversation`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'token': token
+      },
+      body: JSON.stringify({
+        title: 'hat_' + Date.now(),
+        assistantId: getVersionFromModel(model),
+        version: '2'
+      })
+    }, 10000); // 创建会话10秒超时
+
+    if (!response.ok) throw translateUpstreamError(`创建会话失败: ${response.status}`, response.status);
+
+    const data = await response.json();
+    if (data.code === 0 && data.list?.[0]?.id) {
+      return data.list[0].id;
+    }
+    throw translateUpstreamError(data.msg || '无效的会话响应');
+  } catch (error) {
+    Logger.error('创建新会话失败', error);
+    throw error;
+  }
+};
+
+// ==========================================
+// 聊天指令：以前缀开头的用户消息由代理直接回复，不发送给上游
+// ==========================================
+
+/**
+ * 指令注册表。前缀和启用的指令可通过 CHAT_COMMAND_PREFIX / CHAT_COMMANDS 全局配置，
+ * 也可在 Key 的 commands 字段（{ prefix, enabled }）中单独覆盖
+ * 每个指令的 run(ctx) 返回回复文本；ctx.record 为当前线程绑定的会话，指令换绑会话时写回 ctx.record
+ */
+const ChatCommands = {
+  defaults: {
+    prefix: process.env.CHAT_COMMAND_PREFIX || '/',
+    // 未配置时启用全部指令
+    enabled: process.env.CHAT_COMMANDS ? process.env.CHAT_COMMANDS.split(',').map(s => s.trim()).filter(Boolean) : null
+  },
+
+  commands: {
+    help: {
+      aliases: ['帮助'],
+      description: '列出可用指令',
+      run: async function({ settings }) {
+        const lines = ChatCommands.enabledCommands(settings).map(([name, command]) =>
+          `${settings.prefix}${name}${command.usage ? ` ${command.usage}` : ''}  ${command.description}`);
+        return ['可用指令：', ...lines].join('\n');
+      }
+    },
+
+    reset: {
+      aliases: ['重置'],
+      description: '换用新的上游会话，保留标题和模型设置，之前的历史不再发送',
+      run: async function(ctx) {
+        const record = await ChatCommands.rebind(ctx, true);
+        return `会话已重置，新的会话 ID: ${record.conversationId}，请重新提问~~`;
+      }
+    },
+
+    new: {
+      aliases: ['新对话'],
+      description: '开始全新的会话，清除标题和模型设置',
+      run: async function(ctx) {
+        const record = await ChatCommands.rebind(ctx, false);
+        return `已开始新的会话，会话 ID: ${record.conversationId}`;
+      }
+    },
+
+    login: {
+      aliases: ['登录', '重新登录'],
+      description: '重新登录当前 Key 绑定的上游账号（仅限绑定了账号的 Key）',
+      run: async function({ req }) {
+        if (!req.usePool) return '透传的 CodeMoss Token 无法由代理重新登录，请重新登录 CodeMoss 后更换 Token。';
+        // 共享账号池的 Token 被所有 Key 共用，不允许单个 Key 让它们全部失效
+        const boundId = req.apiKey?.account;
+        if (!boundId) return '当前 Key 使用共享账号池，不能手动重新登录；Token 失效时代理会自动重新登录，仍有问题请联系管理员。';
+        const account = AccountPool.get(boundId);
+        if (!account) return `当前 Key 绑定的上游账号 ${boundId} 不存在，请联系管理员。`;
+        await AccountPool.invalidateToken(account);
+        try {
+          await AccountPool.login(account);
+        } catch (err) {
+          return `重新登录失败：${err.message}`;
+        }
+        return `已重新登录上游账号 ${maskKey(account.email)}，请重试。`;
+      }
+    },
+
+    model: {
+      usage: '<模型名|default>',
+      description: '为当前会话指定模型（覆盖客户端选择的模型），default 恢复客户端的选择',
+      run: async function(ctx) {
+        const { req, body, args } = ctx;
+        const current = ctx.record?.modelOverride;
+        if (!args) {
+          return current ? `当前会话使用指令指定的模型：${current}` : `当前会话使用客户端选择的模型：${body.model}`;
+        }
+        if (args === 'default') {
+          if (!current) return `当前会话没有指定模型，使用客户端选择的模型：${body.model}`;
+          delete ctx.record.modelOverride;
+          ctx.changed = true;
+          return `已恢复使用客户端选择的模型：${body.model}`;
+        }
+
+        const model = args.split(/\s+/)[0];
+        const aliased = Router.alias({ ...Router.config.aliases, ...Router.overridesFor(req).aliases }, model);
+        if (!ModelCatalog.find(aliased) && process.env.ALLOW_UNLISTED_MODELS !== 'true') {
+          throw new ApiError(404, `The model '${model}' does not exist`, { param: 'model', code: 'model_not_found' });
+        }
+        assertModelAllowed(req, model);
+        if (!ctx.record) {
+          const { conversationId, account } = await openUpstreamConversation(req, ctx.res, aliased);
+          ctx.record = createConversationRecord(conversationId, account, model, conversationTitle(body.messages.slice(0, -1)));
+        }
+        ctx.record.modelOverride = model;
+        ctx.changed = true;
+        return `当前会话已切换到模型：${model}`;
+      }
+    },
+
+    status: {
+      aliases: ['状态'],
+      description: '查看会话ID、Token 有效期和今日剩余额度',
+      run: async function({ req, body, thread, record }) {
+        const lines = [`会话：${conversationIdFromKey(req, thread.key)}`];
+        lines.push(record ? `上游会话 ID：${record.conversationId}` : '上游会话 ID：尚未创建（下次提问时创建）');
+        lines.push(`模型：${record?.modelOverride ? `${record.modelOverride}（指令指定）` : body.model}`);
+
+        const account = req.usePool && AccountPool.get(record?.accountId || req.apiKey?.account);
+        const expiresAt = req.usePool ? account?.tokenExpiresAt : decodeTokenExpiry(req.mossToken);
+        if (req.usePool) lines.push(`账号：${account ? maskKey(account.email) : '按需分配'}`);
+        if (expiresAt) {
+          const minutes = Math.max(0, Math.round((expiresAt - Date.now()) / 60000));
+          lines.push(`Token 有效期至：${new Date(expiresAt).toISOString()}（剩余 ${minutes} 分钟）`);
+        } else if (req.usePool && account) {
+          lines.push('Token：未登录（下次提问时登录）');
+        }
+
+        const limiter = RateLimiter.get('key', req.clientId, req.apiKey?.limits);
+        const used = UsageLedger.creditsToday(limiter.scope);
+        const { dailyCredits } = limiter.limits;
+        lines.push(dailyCredits
+          ? `今日额度：已用 ${used} / ${dailyCredits}，剩余 ${Math.max(0, dailyCredits - used)}`
+          : `今日额度：已用 ${used}，不限额`);
+        return lines.join('\n');
+      }
+    }
+  },
+
+  /**
+   * 当前 Key 生效的指令配置
+   */
+  settingsFor: function(req) {
+    const own = req.apiKey?.commands || {};
+    return {
+      prefix: own.prefix || this.defaults.prefix,
+      enabled: own.enabled ?? this.defaults.enabled
+    };
+  },
+
+  enabledCommands: function(settings) {
+    return Object.entries(this.commands).filter(([name]) => !settings.enabled || settings.enabled.includes(name));
+  },
+
+  /**
+   * 解析单条消息：只识别用户消息中已启用的指令（名称或别名），其余以前缀开头的文本照常发给上游
+   * 返回 { name, command, args } 或 null
+   */
+  parse: function(settings, message) {
+    if (message?.role !== 'user') return null;
+    const text = getMessageText(message.content).trim();
+    if (!text.startsWith(settings.prefix)) return null;
+    const [, word, args = ''] = text.slice(settings.prefix.length).match(/^(\S+)\s*([\s\S]*)$/) || [];
+    if (!word) return null;
+    const lower = word.toLowerCase();
+    const found = this.enabledCommands(settings).find(([name, command]) => name === lower || command.aliases?.includes(word));
+    return found ? { name: found[0], command: found[1], args: args.trim() } : null;
+  },
+
+  /**
+   * 判断历史消息是否为指令，回放历史时据此跳过指令及其回复
+   */
+  matcher: function(req) {
+    const settings = this.settingsFor(req);
+    return (message) => Boolean(this.parse(settings, message));
+  },
+
+  /**
+   * 当前线程通过 /model 指定的模型
+   */
+  modelOverride: async function(req, body) {
+    if (!Array.isArray(body.messages) || !body.messages.length) return null;
+    const record = await conversationStore.get(resolveThread(req, body).key);
+    return record?.modelOverride || null;
+  },
+
+  /**
+   * 换绑新的上游会话；keepSettings 为 true 时保留标题、创建时间和 /model 设置
+   */
+  rebind: async function(ctx, keepSettings) {
+    const previous = ctx.record;
+    const model = previous?.modelOverride || ctx.body.model;
+    const { conversationId, account } = await openUpstreamConversation(ctx.req, ctx.res, model, previous?.accountId);
+    ctx.record = createConversationRecord(conversationId, account, model, keepSettings ? previous?.title : null);
+    if (keepSettings && previous) {
+      ctx.record.createdAt = previous.createdAt;
+      if (previous.modelOverride) ctx.record.modelOverride = previous.modelOverride;
+    }
+    // 换绑前的历史不再回放给新会话
+    ctx.rebound = true;
+    ctx.changed = true;
+    Logger.info('会话已通过指令换绑', { from: previous?.conversationId || null, to: conversationId });
+    return ctx.record;
+  },
+
+  /**
+   * 保存会话但不标记同步：尚未发给上游的历史在下一轮照常回放
+   * 指纹线程的存储键随历史变化，需要挂到包含本轮指令和回复的新指纹上
+   */
+  store: async function(thread, record, messages, notice) {
+    record.updatedAt = Date.now();
+    if (thread.explicit) return conversationStore.set(thread.key, record);
+    await conversationStore.delete(thread.key);
+    await conversationStore.set(`${thread.userKey}:fp:${digestMessages([...messages, { role: 'assistant', content: notice }])}`, record);
+  },
+
+  /**
+   * 识别最后一条消息中的指令，不是指令时返回 null
+   */
+  find: function(req, body) {
+    const { messages } = body;
+    if (!Array.isArray(messages) || !messages.length) return null;
+    const settings = this.settingsFor(req);
+    const parsed = this.parse(settings, messages[messages.length - 1]);
+    return parsed && { ...parsed, settings };
+  },
+
+  /**
+   * 执行 find() 识别出的指令，返回 { model, notice }
+   * 参数错误等 4xx 错误以回复文本的形式返回，便于在聊天界面中直接看到
+   */
+  execute: async function(req, res, body, parsed) {
+    const { messages } = body;
+    const { settings } = parsed;
+    const thread = resolveThread(req, body);
+    const release = await conversationLocks.acquire(thread.key);
+    try {
+      const record = await conversationStore.get(thread.key);
+      // 上游会话恰好同步到指令之前的全部历史时，指令这一轮也记为已同步
+      const before = messages.slice(0, -1);
+      const inSync = record && record.syncedCount === before.length && (!before.length || digestMessages(before) === record.syncedDigest);
+      const ctx = { req, res, body, settings, thread, record, args: parsed.args, changed: false, rebound: false };
+      Logger.info('执行聊天指令', { command: parsed.name });
+
+      let notice;
+      try {
+        notice = await parsed.command.run(ctx);
+      } catch (err) {
+        if (!(err instanceof ApiError) || err.status >= 500) throw err;
+        notice = `指令执行失败：${err.message}`;
+      }
+
+      if (ctx.record && (ctx.rebound || inSync)) {
+        await commitTurn(thread, ctx.record, messages, notice);
+      } else if (ctx.record && (ctx.changed || !thread.explicit)) {
+        await this.store(thread, ctx.record, messages, notice);
+      }
+      if (ctx.record) res.setHeader('X-Moss-Conversation-Id', ctx.record.conversationId);
+      return { model: ctx.record?.modelOverride || body.model, notice };
+    } finally {
+      release();
+    }
+  }
+};
+
+// ==========================================
+// 上下文构造：把 OpenAI 消息历史折叠进单条 prompt
+// ==========================================
+
+/**
+ * 提取消息文本，兼容字符串与 content parts 数组
+ */
+const getMessageText = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    // 图片本身经上游 image 选项发送，文本里只保留位置占位
+    return content
+      .map(part => {
+        if (part?.type === 'text' && typeof part.text === 'string') return part.text;
+        if (part?.type === 'image_url') return '[图片]';
+        return null;
+      })
+      .filter(text => text !== null)
+      .join('\n');
+  }
+  return '';
+};
+
+/**
+ * 消息在 prompt 和历史指纹中的文本形式：附带助手的工具调用和工具结果标记
+ */
+const formatMessageText = (message) => {
+  const text = getMessageText(message.content);
+  if (message.role === 'tool') {
+    const name = message.name ? ` name="${message.name}"` : '';
+    return `<tool_result tool_call_id="${message.tool_call_id}"${name}>\n${text}\n</tool_result>`;
+  }
+  if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length) {
+    return [text.trim(), ...message.tool_calls.map(renderToolCall)].filter(Boolean).join('\n');
+  }
+  return text;
+};
+
+/**
+ * 粗略估算 token 数：中日韩字符按 1 个计，其余按 4 字符 1 个计
+ */
+const estimateTokens = (text) => {
+  if (!text) return 0;
+  const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+};
+
+const digestMessages = (messages) => {
+  const normalized = messages.map(m => [m.role, formatMessageText(m).trim()]);
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+};
+
+/**
+ * 记录上游会话已经"看过"的消息前缀，下次请求据此判断历史是否一致
+ */
+const markSynced = (record, messages, reply) => {
+  const seen = [...messages, { role: 'assistant', content: reply }];
+  record.syncedCount = seen.length;
+  record.syncedDigest = digestMessages(seen);
+  delete record.freshStart;
+};
+
+const isSynced = (record, messages) => record.syncedCount > 0
+  && record.syncedCount < messages.length
+  && digestMessages(messages.slice(0, record.syncedCount)) === record.syncedDigest;
+
+/**
+ * 识别请求所属的对话线程
+ * - 显式：X-Conversation-Id 请求头或 body.user，线程固定绑定一个 key
+ * - Responses 链：req.responseChain（链首响应ID），使用单独的 key 空间，不出现在会话列表中
+ * - 隐式：以最后一条消息之前的历史做指纹，上一轮结束后按新的历史指纹重新登记
+ */
+const resolveThread = (req, body) => {
+  const userKey = req.clientId;
+  const { messages } = body;
+  const explicitId = req.headers['x-conversation-id'] || body.user;
+  if (explicitId) {
+    return { userKey, explicit: true, key: `${userKey}:id:${explicitId}` };
+  }
+  if (req.responseChain) {
+    return { userKey, explicit: true, key: `${userKey}:chain:${req.responseChain}` };
+  }
+  return { userKey, explicit: false, key: `${userKey}:fp:${digestMessages(messages.slice(0, -1))}` };
+};
+
+/**
+ * 一轮对话结束：更新同步前缀并写回存储，指纹模式下把记录挂到新的历史指纹上
+ */
+const commitTurn = async (thread, record, messages, reply) => {
+  markSynced(record, messages, reply);
+  record.updatedAt = Date.now();
+  if (!thread.explicit) {
+    await conversationStore.delete(thread.key);
+    await conversationStore.set(`${thread.userKey}:fp:${record.syncedDigest}`, record);
+  } else {
+    await conversationStore.set(thread.key, record);
+  }
+};
+
+/**
+ * 新的会话绑定记录；title 仅保存在代理侧，用于会话管理接口展示
+ */
+const createConversationRecord = (conversationId, account, model, title) => ({
+  conversationId,
+  accountId: account?.id || null,
+  syncedCount: 0,
+  syncedDigest: null,
+  title: title || null,
+  model,
+  createdAt: Date.now(),
+  updatedAt: Date.now()
+});
+
+const conversationTitle = (messages) => getMessageText(messages.find(m => m.role === 'user')?.content).trim().slice(0, 50) || null;
+
+const ROLE_LABELS = { system: 'System', developer: 'System', user: 'User', assistant: 'Assistant', tool: 'Tool' };
+
+/**
+ * 计算本次需要发给上游的 prompt
+ * - 上游会话已同步到客户端历史：只发送新增的消息
+ * - 新会话或历史被客户端修改：回放 system 提示词和早期对话，按模型 maxToken 从最早的轮次开始裁剪
+ */
+const buildPrompt = (messages, record, model, { toolText = '', formatText = '', isCommand = null } = {}) => {
+  // 通过会话管理接口重置后的第一轮，客户端带来的旧历史不再回放
+  const pending = isSynced(record, messages) ? messages.slice(record.syncedCount)
+    : record.freshStart ? messages.slice(-1) : messages;
+
+  const current = pending[pending.length - 1];
+  const currentText = current ? formatMessageText(current) : '';
+  if (pending.length === 1 && !toolText && !formatText) return currentText;
+
+  const systemText = pending
+    .filter(m => m.role === 'system' || m.role === 'developer')
+    .map(m => getMessageText(m.content))
+    .join('\n\n');
+  // 聊天指令及代理给出的回复不属于对话内容，回放时跳过
+  const history = pending.slice(0, -1).filter((m, i, list) => m.role !== 'system' && m.role !== 'developer'
+    && !(isCommand && (isCommand(m) || (m.role === 'assistant' && i > 0 && isCommand(list[i - 1])))));
+  if (!systemText && !history.length && !toolText && !formatText) return currentText;
+
+  const info = ModelCatalog.find(model)?.model;
+  const maxToken = info?.maxToken || 8192;
+  // 预留回复空间，并扣除上游自带的系统提示词
+  const budget = maxToken - (info?.systemToken || 0) - Math.min(Math.floor(maxToken / 4), 4096);
+  let used = estimateTokens(systemText) + estimateTokens(toolText) + estimateTokens(formatText) + estimateTokens(currentText);
+
+  const lines = [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const line = `${ROLE_LABELS[history[i].role] || history[i].role}: ${formatMessageText(history[i])}`;
+    const cost = estimateTokens(line);
+    if (used + cost > budget) break;
+    used += cost;
+    lines.unshift(line);
+  }
+  const omitted = history.length - lines.length;
+
+  const sections = [];
+  if (systemText) sections.push(`[System]\n${systemText}`);
+  if (toolText) sections.push(`[Tools]\n${toolText}`);
+  if (formatText) sections.push(`[Response format]\n${formatText}`);
+  if (lines.length || omitted) {
+    const note = omitted ? `(已省略较早的 ${omitted} 条消息)\n` : '';
+    sections.push(`[Conversation so far]\n${note}${lines.join('\n\n')}`);
+  }
+  sections.push(`[Current message]\n${currentText}`);
+  return sections.join('\n\n');
+};
+
+// ==========================================
+// JSON Schema 校验（覆盖工具参数常用的子集）
+// ==========================================
+
+const SCHEMA_TYPE_CHECKS = {
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  null: v => v === null
+};
+
+/**
+ * 按 JSON Schema 校验取值，返回错误描述数组，空数组表示通过
+ * 支持 type、enum、const、properties、required、additionalProperties、items、anyOf/oneOf 及常用长度/范围约束
+ */
+const validateSchema = (schema, value, path = '$') => {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => SCHEMA_TYPE_CHECKS[type]?.(value))) {
+      return [`${path} 应为 ${types.join(' | ')} 类型`];
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    errors.push(`${path} 必须是 ${schema.enum.map(item => JSON.stringify(item)).join(', ')} 之一`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} 必须等于 ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(sub => validateSchema(sub, value, path).length === 0)) {
+    errors.push(`${path} 不满足 anyOf 中的任何一项`);
+  }
+  if (Array.isArray(schema.oneOf) && schema.oneOf.filter(sub => validateSchema(sub, value, path).length === 0).length !== 1) {
+    errors.push(`${path} 必须恰好满足 oneOf 中的一项`);
+  }
+
+  if (SCHEMA_TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} 为必填字段`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} 不是允许的字段`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, `${path}.${key}`));
+      }
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} 至少需要 ${schema.minItems} 项`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} 最多 ${schema.maxItems} 项`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} 长度不能小于 ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} 长度不能大于 ${schema.maxLength}`);
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern).test(value)) errors.push(`${path} 不匹配 ${schema.pattern}`);
+      } catch (e) {
+        // 无法解析的 pattern 不做校验
+      }
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} 不能小于 ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} 不能大于 ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) errors.push(`${path} 必须大于 ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) errors.push(`${path} 必须小于 ${schema.exclusiveMaximum}`);
+  }
+  return errors;
+};
+
+// ==========================================
+// 工具调用模拟 (Function Calling)
+// 上游没有原生工具调用：把 tools 写进 prompt，再从回复中解析 <tool_call> 块
+// ==========================================
+
+const TOOL_CALL_OPEN = '<tool_call>';
+const TOOL_CALL_PATTERN = /<tool_call>\s*([\s\S]*?)\s*(?:<\/tool_call>|$)/g;
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const parseToolArguments = (args) => {
+  if (typeof args !== 'string') return args;
+  try {
+    return JSON.parse(args);
+  } catch (e) {
+    return args;
+  }
+};
+
+/**
+ * 工具调用在 prompt 中的统一写法，回复入库和客户端回传的历史按同样的格式生成指纹
+ */
+const renderToolCall = (call) => `${TOOL_CALL_OPEN}\n${JSON.stringify({
+  id: call.id,
+  name: call.function?.name,
+  arguments: parseToolArguments(call.function?.arguments)
+})}\n</tool_call>`;
+
+/**
+ * 校验 tools / tool_choice，返回本次生效的工具设置；tool_choice 为 none 或未提供 tools 时返回 null
+ */
+const resolveToolSettings = (body) => {
+  const { tools, tool_choice: toolChoice = 'auto' } = body;
+  if (tools === undefined || tools === null) {
+    if (toolChoice !== 'auto' && toolChoice !== 'none') {
+      throw new ApiError(400, "'tool_choice' is only allowed when 'tools' are specified", { param: 'tool_choice', code: 'invalid_value' });
+    }
+    return null;
+  }
+  if (!Array.isArray(tools)) {
+    throw new ApiError(400, "'tools' must be an array", { param: 'tools', code: 'invalid_type' });
+  }
+  tools.forEach((tool, i) => {
+    if (tool?.type !== 'function' || !tool.function || !TOOL_NAME_PATTERN.test(tool.function.name || '')) {
+      throw new ApiError(400, `Invalid value for 'tools[${i}]': expected a function with a valid name`, { param: `tools[${i}]`, code: 'invalid_value' });
+    }
+    const { parameters } = tool.function;
+    if (parameters !== undefined && (parameters === null || typeof parameters !== 'object' || Array.isArray(parameters))) {
+      throw new ApiError(400, `Invalid type for 'tools[${i}].function.parameters'`, { param: `tools[${i}].function.parameters`, code: 'invalid_type' });
+    }
+  });
+
+  let mode = toolChoice;
+  let forced = null;
+  if (typeof toolChoice === 'object' && toolChoice !== null) {
+    forced = toolChoice.function?.name;
+    if (toolChoice.type !== 'function' || !tools.some(tool => tool.function.name === forced)) {
+      throw new ApiError(400, "Invalid value for 'tool_choice': function not found in 'tools'", { param: 'tool_choice', code: 'invalid_value' });
+    }
+    mode = 'function';
+  } else if (!['none', 'auto', 'required'].includes(toolChoice)) {
+    throw new ApiError(400, "Invalid value for 'tool_choice'", { param: 'tool_choice', code: 'invalid_value' });
+  }
+  if (mode === 'none' || tools.length === 0) return null;
+
+  const capabilities = ModelCatalog.find(body.model)?.model.supportExtraFunTypes;
+  if (capabilities && !capabilities.includes('FUNCTION')) {
+    throw new ApiError(400, `The model '${body.model}' does not support tool calling`, { param: 'tools', code: 'model_not_supported' });
+  }
+
+  return {
+    tools: new Map(tools.map(tool => [tool.function.name, tool.function])),
+    mode,
+    forced,
+    parallel: body.parallel_tool_calls !== false
+  };
+};
+
+/**
+ * 生成 [Tools] 段落：工具说明、调用格式及 tool_choice 约束
+ */
+const buildToolInstructions = (settings) => {
+  const specs = [...settings.tools.values()].map(fn => JSON.stringify({
+    name: fn.name,
+    description: fn.description || '',
+    parameters: fn.parameters || { type: 'object', properties: {} }
+  }));
+  const rules = {
+    auto: 'Call a tool only when it is needed to answer; otherwise reply normally without any <tool_call> block.',
+    required: 'You must call at least one tool in this reply.',
+    function: `You must call the tool "${settings.forced}" in this reply.`
+  };
+  return [
+    'You can call the following tools (JSON Schema for arguments):',
+    ...specs,
+    '',
+    'To call a tool, output one block per call in exactly this format, with no text after the last block:',
+    '<tool_call>',
+    '{"name": "<tool name>", "arguments": {<arguments as a JSON object>}}',
+    '</tool_call>',
+    'Tool results will be sent back in <tool_result> blocks.',
+    rules[settings.mode],
+    settings.parallel ? '' : 'Call at most one tool per reply.'
+  ].filter(line => line !== '').join('\n');
+};
+
+/**
+ * 从回复中解析工具调用，返回 { content, calls, errors }
+ * content 为第一个 <tool_call> 之前的文本；参数按工具的 parameters 校验
+ */
+const parseToolCalls = (text, settings) => {
+  const start = text.indexOf(TOOL_CALL_OPEN);
+  if (start === -1) {
+    const errors = settings.mode === 'auto' ? [] : ['本轮必须调用工具，但回复中没有 <tool_call> 块'];
+    return { content: text, calls: [], errors };
+  }
+
+  const calls = [];
+  const errors = [];
+  for (const [, raw] of text.slice(start).matchAll(TOOL_CALL_PATTERN)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (e) {
+      errors.push(`无法解析的工具调用 JSON：${raw.slice(0, 200)}`);
+      continue;
+    }
+    const fn = settings.tools.get(parsed?.name);
+    if (!fn) {
+      errors.push(`未知的工具：${parsed?.name}`);
+      continue;
+    }
+    if (settings.forced && parsed.name !== settings.forced) {
+      errors.push(`本轮只能调用工具 ${settings.forced}`);
+      continue;
+    }
+    const args = parseToolArguments(parsed.arguments ?? {});
+    const argErrors = validateSchema(fn.parameters || { type: 'object' }, args, 'arguments');
+    if (argErrors.length) {
+      errors.push(`工具 ${fn.name} 的参数不符合定义：${argErrors.join('；')}`);
+      continue;
+    }
+    calls.push({
+      id: `call_${crypto.randomBytes(12).toString('hex')}`,
+      type: 'function',
+      function: { name: fn.name, arguments: JSON.stringify(args) }
+    });
+  }
+  if (!settings.parallel && calls.length > 1) calls.length = 1;
+  return { content: text.slice(0, start).trim(), calls, errors };
+};
+
+/**
+ * 流式输出时过滤工具调用：<tool_call> 之前的文本照常转发，之后的内容留到回复结束再解析
+ * 末尾可能是半个起始标签的片段先暂存，避免把标签拆开发给客户端
+ */
+const createToolCallFilter = (emit) => {
+  let pending = '';
+  let inCall = false;
+  return {
+    push: (text) => {
+      if (inCall) return;
+      pending += text;
+      const start = pending.indexOf(TOOL_CALL_OPEN);
+      if (start !== -1) {
+        inCall = true;
+        if (start > 0) emit(pending.slice(0, start));
+        pending = '';
+        return;
+      }
+      let hold = Math.min(pending.length, TOOL_CALL_OPEN.length - 1);
+      while (hold > 0 && !TOOL_CALL_OPEN.startsWith(pending.slice(-hold))) hold--;
+      const ready = pending.slice(0, pending.length - hold);
+      pending = pending.slice(pending.length - hold);
+      if (ready) emit(ready);
+    },
+    flush: () => {
+      if (!inCall && pending) emit(pending);
+      pending = '';
+    }
+  };
+};
+
+const buildToolRepairPrompt = (errors) => [
+  '[Tool call error]',
+  'Your previous reply did not contain a valid tool call:',
+  ...errors.map(error => `- ${error}`),
+  'Reply again with only the corrected <tool_call> blocks.'
+].join('\n');
+
+// ==========================================
+// 生成参数 (stop / max_tokens / n / temperature / response_format)
+// 上游补全接口不接受这些参数：stop 与 max_tokens 在代理侧截断输出，JSON 输出格式写进 prompt 并校验回复
+// ==========================================
+
+const CHAT_MAX_N = 8;
+const STOP_MAX_SEQUENCES = 4;
+const RESPONSE_FORMAT_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * 回复不符合 response_format 时的处理：repair 把错误发回同一上游会话让模型改正，retry 重新提问，off 直接报错
+ */
+const ResponseFormatPolicy = {
+  mode: ['repair', 'retry', 'off'].includes(process.env.RESPONSE_FORMAT_REPAIR) ? process.env.RESPONSE_FORMAT_REPAIR : 'repair',
+  maxAttempts: Math.max(0, parseInt(process.env.RESPONSE_FORMAT_MAX_ATTEMPTS ?? '1', 10) || 0)
+};
+
+/**
+ * 校验 response_format，返回 { type, name, schema }；未指定或为 text 时返回 null
+ */
+const resolveResponseFormat = (format) => {
+  if (format == null || format.type === 'text') return null;
+  if (typeof format !== 'object' || Array.isArray(format)) {
+    throw new ApiError(400, "'response_format' must be an object", { param: 'response_format', code: 'invalid_type' });
+  }
+  if (format.type === 'json_object') return { type: 'json_object', name: null, schema: null };
+  if (format.type !== 'json_schema') {
+    throw new ApiError(400, "Invalid value for 'response_format.type': expected one of text, json_object, json_schema", {
+      param: 'response_format.type', code: 'invalid_value'
+    });
+  }
+  const spec = format.json_schema;
+  if (!spec || typeof spec !== 'object' || !RESPONSE_FORMAT_NAME_PATTERN.test(spec.name || '')) {
+    throw new ApiError(400, "Invalid value for 'response_format.json_schema': expected an object with a valid name", {
+      param: 'response_format.json_schema', code: 'invalid_value'
+    });
+  }
+  if (spec.schema !== undefined && (spec.schema === null || typeof spec.schema !== 'object' || Array.isArray(spec.schema))) {
+    throw new ApiError(400, "Invalid type for 'response_format.json_schema.schema'", { param: 'response_format.json_schema.schema', code: 'invalid_type' });
+  }
+  return { type: 'json_schema', name: spec.name, schema: spec.schema || null };
+};
+
+/**
+ * 校验 stop / max_tokens / temperature / n / response_format，返回本轮生效的生成设置
+ * max_completion_tokens 优先于 max_tokens；上游没有采样参数，temperature 只做取值校验
+ */
+const resolveGenerationSettings = (body) => {
+  const stop = typeof body.stop === 'string' ? [body.stop] : (body.stop ?? null);
+  if (stop !== null && (!Array.isArray(stop) || stop.length > STOP_MAX_SEQUENCES || stop.some(s => typeof s !== 'string' || !s))) {
+    throw new ApiError(400, `Invalid value for 'stop': expected a string or an array of up to ${STOP_MAX_SEQUENCES} non-empty strings`, {
+      param: 'stop', code: 'invalid_value'
+    });
+  }
+
+  const maxParam = body.max_completion_tokens != null ? 'max_completion_tokens' : 'max_tokens';
+  const maxTokens = body[maxParam] ?? null;
+  if (maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens >= 1)) {
+    throw new ApiError(400, `Invalid value for '${maxParam}': expected a positive integer`, { param: maxParam, code: 'invalid_value' });
+  }
+
+  // 上游 /v3/moss/completions 没有任何采样参数，temperature 校验后即被忽略，不会改变回复
+  const { temperature } = body;
+  if (temperature != null && !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+    throw new ApiError(400, "Invalid value for 'temperature': expected a number between 0 and 2", { param: 'temperature', code: 'invalid_value' });
+  }
+
+  const n = body.n ?? 1;
+  if (!Number.isInteger(n) || n < 1 || n > CHAT_MAX_N) {
+    throw new ApiError(400, `Invalid value for 'n': expected an integer between 1 and ${CHAT_MAX_N}`, { param: 'n', code: 'invalid_value' });
+  }
+
+  return {
+    stop: stop?.length ? stop : null,
+    maxTokens,
+    n,
+    responseFormat: resolveResponseFormat(body.response_format)
+  };
+};
+
+/**
+ * 在代理侧执行 stop 与 max_tokens：命中停止序列时丢弃序列及其后的内容，超过 max_tokens 时按估算的 token 数截断
+ * 末尾可能是停止序列开头的片段先暂存，确认不构成停止序列后再转发
+ * result() 返回 { text, finishReason, stopSequence }，未触发截断时 finishReason 为 null
+ */
+const createOutputLimiter = ({ stop, maxTokens }, emit) => {
+  // 与 estimateTokens 的计数规则一致：中日韩字符按 1 个计，其余按 4 字符 1 个计
+  const cjkChar = /[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/;
+  const holdLength = stop ? Math.max(...stop.map(seq => seq.length)) - 1 : 0;
+  let pending = '';
+  let text = '';
+  let cjk = 0;
+  let other = 0;
+  let finishReason = null;
+  let stopSequence = null;
+
+  const release = (chunk) => {
+    if (!chunk || finishReason) return;
+    if (maxTokens) {
+      let end = 0;
+      for (const char of chunk) {
+        const isCjk = cjkChar.test(char);
+        if (cjk + (isCjk ? 1 : 0) + Math.ceil((other + (isCjk ? 0 : char.length)) / 4) > maxTokens) {
+          finishReason = 'length';
+          break;
+        }
+        if (isCjk) cjk += 1;
+        else other += char.length;
+        end += char.length;
+      }
+      chunk = chunk.slice(0, end);
+    }
+    if (!chunk) return;
+    text += chunk;
+    emit(chunk);
+  };
+
+  return {
+    push: (chunk) => {
+      if (finishReason) return;
+      pending += chunk;
+      if (!stop) {
+        release(pending);
+        pending = '';
+        return;
+      }
+      const hits = stop.map(seq => [pending.indexOf(seq), seq]).filter(([index]) => index !== -1);
+      if (hits.length) {
+        const [index, seq] = hits.reduce((first, hit) => hit[0] < first[0] ? hit : first);
+        release(pending.slice(0, index));
+        pending = '';
+        if (!finishReason) {
+          finishReason = 'stop';
+          stopSequence = seq;
+        }
+        return;
+      }
+      let hold = Math.min(pending.length, holdLength);
+      while (hold > 0 && !stop.some(seq => seq.startsWith(pending.slice(-hold)))) hold--;
+      release(pending.slice(0, pending.length - hold));
+      pending = pending.slice(pending.length - hold);
+    },
+    flush: () => {
+      release(pending);
+      pending = '';
+    },
+    result: () => ({ text, finishReason, stopSequence })
+  };
+};
+
+/**
+ * 生成 [Response format] 段落
+ */
+const buildResponseFormatInstructions = (format) => {
+  if (format.type === 'json_object') {
+    return 'Reply with a single valid JSON object only. Do not wrap it in Markdown code fences and do not add any other text.';
+  }
+  return [
+    `Reply with a single JSON value that conforms to the JSON Schema "${format.name}" below.`,
+    'Output only the JSON, without Markdown code fences or any other text.',
+    JSON.stringify(format.schema || {})
+  ].join('\n');
+};
+
+/**
+ * 解析并校验 JSON 回复：容忍 Markdown 代码块和 JSON 前后的说明文字
+ * 返回 { text, errors }，text 为提取出的 JSON 文本
+ */
+const parseJsonReply = (content, format) => {
+  const trimmed = content.trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  const candidates = [fenced ? fenced[1] : trimmed];
+  const start = trimmed.search(/[{[]/);
+  const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+  if (start !== -1 && end > start) candidates.push(trimmed.slice(start, end + 1));
+
+  let error = null;
+  for (const text of candidates) {
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (err) {
+      error ||= err;
+      continue;
+    }
+    if (format.type === 'json_object' && !SCHEMA_TYPE_CHECKS.object(value)) return { text, errors: ['回复必须是 JSON 对象'] };
+    return { text, errors: format.schema ? validateSchema(format.schema, value) : [] };
+  }
+  return { text: content, errors: [`回复不是合法的 JSON：${error.message}`] };
+};
+
+const buildResponseFormatRepairPrompt = (errors) => [
+  '[Response format error]',
+  'Your previous reply did not match the required response format:',
+  ...errors.map(error => `- ${error}`),
+  'Reply again with only the corrected JSON.'
+].join('\n');
+
+// ==========================================
+// 图片输入 (Vision)
+// 当前消息中的图片统一下载/解码为 base64，经上游 image 选项发送；历史中的图片只保留占位文本
+// ==========================================
+
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const IMAGE_MAX_COUNT = parseInt(process.env.IMAGE_MAX_COUNT, 10) || 4;
+const IMAGE_FETCH_TIMEOUT_MS = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS, 10) || 15000;
+const IMAGE_FETCH_ALLOW_PRIVATE = process.env.IMAGE_FETCH_ALLOW_PRIVATE === 'true';
+const IMAGE_FETCH_MAX_REDIRECTS = 3;
+
+// 代为下载图片时拒绝的地址段：本机、内网、链路本地（含云厂商元数据 169.254.169.254）、组播和保留地址
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  return family !== 0 && !PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * 连接前校验 DNS 解析结果，域名解析到内网地址时拒绝连接（防止 DNS 重绑定绕过 URL 检查）
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(entry => !isPublicAddress(entry.address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'PRIVATE_ADDRESS' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const publicAgents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// 按文件头识别图片类型，不信任客户端声明的 MIME
+const IMAGE_SIGNATURES = [
+  { mime: 'image/png', test: buf => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: 'image/jpeg', test: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mime: 'image/gif', test: buf => buf.subarray(0, 6).toString('ascii').startsWith('GIF8') },
+  { mime: 'image/webp', test: buf => buf.subarray(0, 4).toString('ascii') === 'RIFF' && buf.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+const imageError = (message, param, code = 'invalid_image') => new ApiError(400, message, { param, code });
+
+/**
+ * 请求远程图片：默认只允许公网地址（IMAGE_FETCH_ALLOW_PRIVATE=true 时放开），重定向逐跳校验
+ * IP 字面量不经过 DNS 解析，直接在这里检查；域名在连接时由 publicLookup 检查
+ */
+const fetchPublicImage = async (url) => {
+  let current = url;
+  for (let hop = 0; hop <= IMAGE_FETCH_MAX_REDIRECTS; hop++) {
+    const parsed = new URL(current);
+    if (!publicAgents[parsed.protocol]) throw new Error(`Unsupported protocol ${parsed.protocol}`);
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (!IMAGE_FETCH_ALLOW_PRIVATE && net.isIP(host) && !isPublicAddress(host)) {
+      throw Object.assign(new Error(`${host} is a private address`), { code: 'PRIVATE_ADDRESS' });
+    }
+    const response = await fetchClient(current, {
+      headers: { accept: 'image/*' },
+      redirect: 'manual',
+      ...(!IMAGE_FETCH_ALLOW_PRIVATE && { agent: publicAgents[parsed.protocol] })
+    }, IMAGE_FETCH_TIMEOUT_MS);
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+    response.body?.resume?.();
+    current = new URL(location, current).href;
+  }
+  throw new Error('Too many redirects');
+};
+
+/**
+ * 下载远程图片，超过大小上限时立即中止
+ * 失败时抛出 400 ApiError，param 指向请求中的图片字段
+ */
+const downloadImage = async (url, param, maxBytes = IMAGE_MAX_BYTES) => {
+  let response;
+  try {
+    response = await fetchPublicImage(url);
+  } catch (err) {
+    if (err.code === 'PRIVATE_ADDRESS') throw imageError('Image URL must point to a public address', param, 'invalid_image_url');
+    Logger.warn('图片下载失败', { url, error: err.message });
+    throw imageError('Failed to download image', param, 'invalid_image_url');
+  }
+  // 远端的状态码只记日志，不回显给客户端
+  if (!response.ok) {
+    Logger.warn('图片下载失败', { url, status: response.status });
+    throw imageError('Failed to download image', param, 'invalid_image_url');
+  }
+  if (parseInt(response.headers.get('content-length'), 10) > maxBytes) {
+    throw imageError(`Image exceeds the ${maxBytes} byte limit`, param, 'image_too_large');
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.body.destroy?.();
+      throw imageError(`Image exceeds the ${maxBytes} byte limit`, param, 'image_too_large');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * 解析单张图片（data URL 或 http(s) URL），返回 { mime, data(base64), bytes }
+ */
+const loadImage = async (url, param) => {
+  let buffer;
+  const dataUrl = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(url);
+  if (dataUrl) {
+    if (!dataUrl[2]) throw imageError('Image data URLs must be base64 encoded', param);
+    buffer = Buffer.from(dataUrl[3], 'base64');
+  } else if (/^https?:\/\//i.test(url)) {
+    buffer = await downloadImage(url, param);
+  } else {
+    throw imageError('Image URL must be a base64 data URL or an http(s) URL', param, 'invalid_image_url');
+  }
+
+  if (buffer.length === 0) throw imageError('Image is empty', param);
+  if (buffer.length > IMAGE_MAX_BYTES) {
+    throw imageError(`Image exceeds the ${IMAGE_MAX_BYTES} byte limit`, param, 'image_too_large');
+  }
+  const type = IMAGE_SIGNATURES.find(signature => signature.test(buffer));
+  if (!type) throw imageError('Unsupported image format, expected png, jpeg, gif or webp', param, 'invalid_image_format');
+  return { mime: type.mime, data: buffer.toString('base64'), bytes: buffer.length };
+};
+
+/**
+ * 取出最后一条消息中的图片并校验：模型需支持 IMAGE，数量、大小、格式受限
+ */
+const prepareImages = async (body) => {
+  const index = body.messages.length - 1;
+  const { content } = body.messages[index];
+  if (!Array.isArray(content)) return [];
+  const parts = content
+    .map((part, i) => ({ part, param: `messages[${index}].content[${i}].image_url` }))
+    .filter(({ part }) => part?.type === 'image_url');
+  if (parts.length === 0) return [];
+
+  const capabilities = ModelCatalog.find(body.model)?.model.supportExtraFunTypes;
+  if (capabilities && !capabilities.includes('IMAGE')) {
+    throw new ApiError(400, `The model '${body.model}' does not support image inputs`, { param: 'messages', code: 'model_not_supported' });
+  }
+  if (parts.length > IMAGE_MAX_COUNT) {
+    throw imageError(`At most ${IMAGE_MAX_COUNT} images are allowed per message`, 'messages', 'too_many_images');
+  }
+  const images = [];
+  for (const { part, param } of parts) {
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+    if (typeof url !== 'string' || !url) throw imageError('Missing image URL', param, 'invalid_image_url');
+    images.push(await loadImage(url, param));
+  }
+  return images;
+};
+
+// ==========================================
+// 上游事件解析 (NDJSON)
+// ==========================================
+
+/**
+ * 把单行上游事件归一化为 { type, ... }
+ * type: content | reasoning | done | consume | timing | error | unknown
+ */
+const parseMossEvent = (raw) => {
+  if (typeof raw?.code === 'number' && raw.code !== 0) {
+    return { type: 'error', code: raw.code, message: raw.msg || raw.content || '上游返回错误', raw };
+  }
+  switch (raw?.code) {
+    case 'ChatMossChatContentEvent':
+      // status 2 为回复结束事件，携带上游消息ID
+      if (raw.status === 2) return { type: 'done', msgId: raw.msgId || null, conversationId: raw.conversationId };
+      // 开启 openCot 后思维链可能以独立字段下发
+      if (!raw.msgItem?.theContent && raw.msgItem?.choices?.[0]?.delta?.reasoning_content) {
+        return { type: 'reasoning', text: raw.msgItem.choices[0].delta.reasoning_content };
+      }
+      return { type: 'content', text: raw.msgItem?.theContent ?? raw.msgItem?.choices?.[0]?.delta?.content ?? '' };
+    case 'ChatMossChatConsumeEvent':
+      return { type: 'consume', info: raw.mossReduceInfo || {} };
+    case 'ChatMossChatTimeEvent':
+      return { type: 'timing', aiTimeMillis: raw.aiTimeMillis };
+    default:
+      return { type: 'unknown', raw };
+  }
+};
+
+/**
+ * 逐行读取上游 NDJSON 响应体；多字节字符可能被拆在两个数据块之间，交给 StringDecoder 拼接
+ */
+async function* readMossEvents(body) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.write(chunk);
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield parseMossEvent(JSON.parse(line));
+      } catch (e) {
+        // 忽略解析错误
+      }
+    }
+  }
+  buffer += decoder.end();
+  if (buffer.trim()) {
+    try {
+      yield parseMossEvent(JSON.parse(buffer));
+    } catch (e) {
+      // 忽略残缺的尾行
+    }
+  }
+}
+
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+/**
+ * 拆分回复开头的 <think>...</think> 思维链，返回 { push(text), flush() }，两者都返回 [{ type, text }]
+ * 标签可能被拆在相邻的增量里，无法判断的片段先暂存
+ */
+const createThinkSplitter = () => {
+  let state = 'start';   // start: 尚未确定是否以 <think> 开头 | reasoning | content
+  let buffer = '';
+
+  const drain = () => {
+    const pieces = [];
+    if (state === 'start') {
+      const trimmed = buffer.trimStart();
+      if (trimmed.startsWith(THINK_OPEN)) {
+        state = 'reasoning';
+        buffer = trimmed.slice(THINK_OPEN.length);
+      } else if (THINK_OPEN.startsWith(trimmed)) {
+        return pieces;
+      } else {
+        state = 'content';
+      }
+    }
+    if (state === 'reasoning') {
+      const end = buffer.indexOf(THINK_CLOSE);
+      if (end === -1) {
+        // 保留可能是半个结束标签的尾部
+        let hold = Math.min(buffer.length, THINK_CLOSE.length - 1);
+        while (hold > 0 && !THINK_CLOSE.startsWith(buffer.slice(-hold))) hold--;
+        if (buffer.length > hold) pieces.push({ type: 'reasoning', text: buffer.slice(0, buffer.length - hold) });
+        buffer = buffer.slice(buffer.length - hold);
+        return pieces;
+      }
+      if (end > 0) pieces.push({ type: 'reasoning', text: buffer.slice(0, end) });
+      state = 'content';
+      buffer = buffer.slice(end + THINK_CLOSE.length).replace(/^\s+/, '');
+    }
+    if (buffer) pieces.push({ type: 'content', text: buffer });
+    buffer = '';
+    return pieces;
+  };
+
+  return {
+    push: (text) => {
+      buffer += text;
+      return drain();
+    },
+    flush: () => {
+      if (!buffer) return [];
+      const pieces = [{ type: state === 'reasoning' ? 'reasoning' : 'content', text: buffer }];
+      buffer = '';
+      return pieces;
+    }
+  };
+};
+
+/**
+ * 消费上游事件流并汇总回复，流式模式通过 onEvent 实时转发
+ * 正文开头的 <think> 块与上游独立下发的思维链都归入 reply.reasoning，以 reasoning 事件转发
+ */
+const consumeMossStream = async (body, onEvent) => {
+  const reply = { content: '', reasoning: '', meter: {}, msgId: null, finished: false, error: null, finishReason: null };
+  const splitter = createThinkSplitter();
+  const emitText = (pieces) => {
+    let proceed = true;
+    for (const piece of pieces) {
+      if (!piece.text) continue;
+      reply[piece.type === 'reasoning' ? 'reasoning' : 'content'] += piece.text;
+      if (onEvent && onEvent(piece, reply) === false) proceed = false;
+    }
+    return proceed;
+  };
+
+  for await (const event of readMossEvents(body)) {
+    if (event.type === 'content' || event.type === 'reasoning') {
+      const pieces = event.type === 'content' ? splitter.push(event.text) : [event];
+      if (!emitText(pieces)) break;
+      continue;
+    }
+    switch (event.type) {
+      case 'consume':
+        reply.meter.consume = event.info;
+        break;
+      case 'timing':
+        reply.meter.aiTimeMillis = event.aiTimeMillis;
+        break;
+      case 'done':
+        reply.finished = true;
+        reply.msgId = event.msgId;
+        break;
+      case 'error':
+        reply.error = event;
+        break;
+    }
+    if (onEvent && onEvent(event, reply) === false) break;
+  }
+  emitText(splitter.flush());
+  // 未收到结束事件说明回复被截断
+  reply.finishReason = reply.finished ? 'stop' : 'length';
+  return reply;
+};
+
+/**
+ * 生成 OpenAI usage：token 为估算值，moss_* 字段来自上游消耗/计时事件
+ * 思维链计入 completion_tokens，并在 completion_tokens_details.reasoning_tokens 中单独列出
+ */
+const buildUsage = (prompt, completion, meter = {}, reasoning = '') => {
+  const promptTokens = estimateTokens(prompt);
+  const reasoningTokens = estimateTokens(reasoning);
+  const completionTokens = estimateTokens(completion) + reasoningTokens;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    completion_tokens_details: { reasoning_tokens: reasoningTokens },
+    moss_credits: Math.abs(meter.consume?.totalReduce || 0),
+    moss_question_mode: meter.consume?.questionMode || null,
+    moss_consume_message: meter.consume?.viewMsg || null,
+    moss_ai_time_ms: meter.aiTimeMillis ?? null
+  };
+};
+
+/**
+ * 累加同一请求内追加轮次（如工具调用纠错）的用量
+ */
+const addUsage = (usage, extra) => {
+  for (const field of ['prompt_tokens', 'completion_tokens', 'total_tokens', 'moss_credits']) {
+    usage[field] += extra[field];
+  }
+  usage.completion_tokens_details.reasoning_tokens += extra.completion_tokens_details.reasoning_tokens;
+  if (extra.moss_ai_time_ms !== null) usage.moss_ai_time_ms = (usage.moss_ai_time_ms || 0) + extra.moss_ai_time_ms;
+  return usage;
+};
+
+const recordUsage = (req, model, usage) => {
+  if (usage.moss_credits) Metrics.inc('credits_consumed_total', { model, key: req.clientId || 'anonymous' }, usage.moss_credits);
+  UsageLedger.record({
+    requestId: req.requestId,
+    key: req.clientId,
+    owner: req.apiKey?.owner || null,
+    account: req.upstreamAccount?.id || null,
+    model,
+    prompt_tokens: usage.prompt_tokens,
+    completion_tokens: usage.completion_tokens,
+    credits: usage.moss_credits
+  });
+};
+
+const VALID_ROLES = ['system', 'developer', 'user', 'assistant', 'tool'];
+
+/**
+ * 与具体模型无关的请求体校验，在模型路由和熔断过滤之前执行
+ */
+const validateChatBody = (body) => {
+  const { model, messages } = body;
+  if (typeof model !== 'string' || !model.trim()) {
+    throw new ApiError(400, 'you must provide a model parameter', { param: 'model', code: 'missing_required_parameter' });
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new ApiError(400, "'messages' must be a non-empty array", { param: 'messages', code: 'invalid_type' });
+  }
+  messages.forEach((message, i) => {
+    if (!message || !VALID_ROLES.includes(message.role)) {
+      throw new ApiError(400, `Invalid value for 'messages[${i}].role'`, { param: `messages[${i}].role`, code: 'invalid_value' });
+    }
+    const { content } = message;
+    if (content != null && typeof content !== 'string' && !Array.isArray(content)) {
+      throw new ApiError(400, `Invalid type for 'messages[${i}].content'`, { param: `messages[${i}].content`, code: 'invalid_type' });
+    }
+    if (message.role === 'tool' && (typeof message.tool_call_id !== 'string' || !message.tool_call_id)) {
+      throw new ApiError(400, `Missing required parameter: 'messages[${i}].tool_call_id'`, { param: `messages[${i}].tool_call_id`, code: 'missing_required_parameter' });
+    }
+    if (message.tool_calls !== undefined && (message.role !== 'assistant' || !Array.isArray(message.tool_calls))) {
+      throw new ApiError(400, `Invalid value for 'messages[${i}].tool_calls'`, { param: `messages[${i}].tool_calls`, code: 'invalid_value' });
+    }
+  });
+  if (!getMessageText(messages[messages.length - 1].content).trim()) {
+    throw new ApiError(400, 'The last message must have non-empty content', { param: 'messages', code: 'invalid_value' });
+  }
+};
+
+/**
+ * 路由后的请求体校验，在调用上游之前拦截无效请求
+ */
+const validateChatRequest = (body) => {
+  validateChatBody(body);
+  if (!ModelCatalog.find(body.model) && process.env.ALLOW_UNLISTED_MODELS !== 'true') {
+    throw new ApiError(404, `The model '${body.model}' does not exist`, { param: 'model', code: 'model_not_found' });
+  }
+};
+
+const REASONING_EFFORTS = ['none', 'minimal', 'low', 'medium', 'high'];
+
+/**
+ * 请求用到的模型能力，用于筛选备用模型
+ * types 对应模型目录的 supportExtraFunTypes；reasoning 为请求的模型会开启思维链；generation 为图像生成
+ */
+const requiredCapabilities = (body, hooks = {}) => {
+  const last = Array.isArray(body.messages) ? body.messages[body.messages.length - 1] : null;
+  const hasImages = Array.isArray(last?.content) && last.content.some(part => part?.type === 'image_url');
+  const hasTools = Array.isArray(body.tools) && body.tools.length > 0 && body.tool_choice !== 'none';
+  return {
+    types: [hasImages && 'IMAGE', hasTools && 'FUNCTION'].filter(Boolean),
+    reasoning: resolveReasoning(body),
+    generation: Boolean(hooks.imageGeneration)
+  };
+};
+
+/**
+ * 是否开启上游思维链：模型名带 -thinking 后缀，或 reasoning_effort 不为 none
+ * 上游只有开关，没有强度档位；不支持推理的模型忽略 reasoning_effort
+ */
+const resolveReasoning = (body) => {
+  const effort = body.reasoning_effort;
+  if (effort != null && !REASONING_EFFORTS.includes(effort)) {
+    throw new ApiError(400, `Invalid value for 'reasoning_effort': expected one of ${REASONING_EFFORTS.join(', ')}`, {
+      param: 'reasoning_effort', code: 'invalid_value'
+    });
+  }
+  const bySuffix = body.model.replace(/-tmp$/, '').endsWith(THINKING_SUFFIX);
+  const byEffort = effort != null && effort !== 'none';
+  return (bySuffix || byEffort) && ModelCatalog.supportsReasoning(body.model);
+};
+
+// 格式转换函数
+// options.prompt 未指定时按会话同步状态从消息历史构造，工具纠错等追加轮次直接传入 prompt
+const convertToMossFormat = (reqBody, token, record, options = {}) => {
+  const prompt = options.prompt ?? buildPrompt(reqBody.messages, record, reqBody.model, options);
+  return {
+    url: `${MOSS_BASE_URL}/v3/moss/completions`,
+    headers: { 'content-type': 'application/json', 'token': token },
+    prompt,
+    body: JSON.stringify({
+      prompt,
+      options: {
+        conversationId: record.conversationId,
+        openaiVersion: baseModelName(reqBody.model) || 'gpt-4o-mini',
+        assistantId: getVersionFromModel(reqBody.model),
+        version: '2',
+        image: Boolean(options.images?.length),
+        openCot: Boolean(options.reasoning),
+        ...(options.images?.length && { images: options.images.map(img => `data:${img.mime};base64,${img.data}`) }),
+        nonce: `hp_${Math.floor(Math.random() * 100000000)}`
+      }
+    })
+  };
+};
+
+// ==========================================
+// 4. API 路由定义 (API Routes)
+// ==========================================
+
+/**
+ * 对话执行管线：路由 → 校验 → 会话/账号分配 → 调用上游 → 记账
+ * 各协议路由先把请求体转换为 OpenAI chat 格式，再按各自协议输出结果
+ * hooks.onDelta(text, turn)：收到增量内容时回调，用于流式输出
+ * hooks.onReasoning(text, turn)：收到思维链增量时回调
+ * hooks.ephemeralThread：使用独立的临时线程（n > 1 的其余候选回复、图像生成），新建上游会话且不保存会话绑定，不出现在会话列表中；最后一条消息是指令时返回 null
+ * 返回 { model, content, reasoning, toolCalls, finishReason, stopSequence, usage, msgId, notice, error }
+ * - model：实际提供服务的模型，同时写入 X-Moss-Served-Model 响应头
+ * - notice：聊天指令的回复，未调用上游
+ * - error：已开始输出后才发生的上游错误；输出前的错误直接抛出，由全局错误处理器返回
+ */
+const runChatPipeline = async (req, res, body, hooks = {}) => {
+  // n > 1 的其余候选回复不重复执行指令
+  const command = ChatCommands.find(req, body);
+  if (command) return hooks.ephemeralThread ? null : ChatCommands.execute(req, res, body, command);
+  // 通过 /model 指令指定了模型的会话，忽略客户端选择的模型
+  const override = await ChatCommands.modelOverride(req, body);
+  if (override) body = { ...body, model: override };
+
+  validateChatBody(body);
+  // Key 的模型白名单按客户端请求的模型名检查，路由改写和备用模型由管理员配置
+  assertModelAllowed(req, body.model);
+  const route = Router.resolve(req, body.model);
+  if (route.model !== route.requested) {
+    Logger.info('模型已路由', { requestId: req.requestId, from: route.requested, to: route.model, rule: route.rule });
+  }
+
+  // 备用模型缺少请求用到的能力时不切换，宁可返回错误也不让纯文本模型代答图片、工具或思维链请求
+  const needs = requiredCapabilities(body, hooks);
+  const capable = route.candidates.filter((model, i) => i === 0 || Router.canServe(model, body, needs));
+  if (capable.length < route.candidates.length) {
+    Logger.info('备用模型不支持请求的能力，已跳过', {
+      requestId: req.requestId, skipped: route.candidates.filter(model => !capable.includes(model))
+    });
+  }
+
+  // 跳过熔断中的模型；全部熔断时直接返回 503，不再请求上游
+  const candidates = capable.filter(model => ModelHealth.isAvailable(model));
+  if (candidates.length === 0) throw ModelHealth.openError(route.model);
+  if (candidates[0] !== route.model) {
+    Logger.info('模型熔断中，使用备用模型', { requestId: req.requestId, from: route.model, to: candidates[0] });
+  }
+
+  for (const [i, model] of candidates.entries()) {
+    // 半开状态的模型只放行一个试探请求，名额已被其他请求占用时换下一个候选
+    if (!ModelHealth.claim(model)) {
+      if (!candidates[i + 1]) throw ModelHealth.openError(model);
+      continue;
+    }
+    if (!res.headersSent) res.setHeader('X-Moss-Served-Model', model);
+    try {
+      return await runChatTurn(req, res, { ...body, model }, hooks);
+    } catch (err) {
+      const next = candidates[i + 1];
+      if (!next || !Router.shouldFallback(err, req, res)) throw err;
+      Logger.warn('模型不可用，切换到备用模型', { requestId: req.requestId, from: model, to: next, code: err.code });
+    }
+  }
+};
+
+/**
+ * 以确定的模型执行一轮对话
+ */
+const runChatTurn = async (req, res, body, hooks) => {
+  const { messages, model } = body;
+  const requestId = req.requestId;
+  req.logContext.model = model;
+
+  validateChatRequest(body);
+  const toolSettings = resolveToolSettings(body);
+  const generation = resolveGenerationSettings(body);
+  const reasoning = resolveReasoning(body);
+  const images = await prepareImages(body);
+
+  // 会话管理：按对话线程绑定上游会话，同一线程的请求串行执行
+  const thread = hooks.ephemeralThread
+    ? { userKey: req.clientId, explicit: true, ephemeral: true, key: `${req.clientId}:tmp:${hooks.ephemeralThread}` }
+    : resolveThread(req, body);
+  const release = await conversationLocks.acquire(thread.key);
+  res.on('close', release);
+
+  // 本轮结束即释放会话锁和账号并发名额，客户端断开时同样释放（两者均可重复调用）
+  let lease = null;
+  try {
+    let record = await conversationStore.get(thread.key);
+    lease = await acquireUpstream(req, res, record?.accountId);
+    const { account } = lease;
+    let { token } = lease;
+    req.upstreamAccount = account;
+    if (account) req.logContext.account = maskKey(account.email);
+
+    // 上游拒绝 Token（过期或在别处登录被挤下线）时重新登录一次并重放请求，客户端无感知；透传 Token 无法代为重登
+    let relogged = false;
+    const reloginOnce = async (err) => {
+      if (relogged || !account || res.headersSent || err.code !== 'invalid_api_key') return false;
+      relogged = true;
+      Logger.warn('上游拒绝 Token，重新登录后重放请求', { requestId, account: maskKey(account.email), error: err.message });
+      token = await AccountPool.refreshToken(account, token);
+      return true;
+    };
+
+    // 会话绑定的账号不可用（冷却中）时换账号重建会话，历史通过 prompt 回放
+    const migrated = record && account && record.accountId !== account.id;
+    // 客户端从早期轮次分叉或编辑了历史：另开上游会话，避免与旧上下文混在一起
+    const diverged = record && thread.explicit && record.syncedCount > 0 && !isSynced(record, messages);
+    if (!record || migrated || diverged) {
+      const conversationId = await createNewConversation(token, model).catch(async (err) => {
+        if (err instanceof ApiError) Metrics.inc('upstream_errors_total', { model, code: err.code });
+        if (await reloginOnce(err)) return createNewConversation(token, model);
+        throw err;
+      });
+      if (diverged || migrated) {
+        Logger.info(diverged ? '对话历史已分叉，创建新会话' : '会话账号不可用，迁移到新账号', {
+          requestId, from: record.conversationId, to: conversationId
+        });
+      }
+      record = {
+        ...createConversationRecord(conversationId, account, model, record?.title || conversationTitle(messages)),
+        createdAt: record?.createdAt || Date.now(),
+        ...(record?.modelOverride && { modelOverride: record.modelOverride })
+      };
+      // 指纹线程只在 commitTurn 时登记，首轮失败不会留下按空历史指纹登记的记录
+      if (thread.explicit && !thread.ephemeral) await conversationStore.set(thread.key, record);
+    }
+    if (!thread.ephemeral) {
+      res.setHeader('X-Moss-Conversation-Id', record.conversationId);
+      req.logContext.conversationId = record.conversationId;
+    }
+
+    // 构造 Moss 请求
+    const toolText = toolSettings ? buildToolInstructions(toolSettings) : '';
+    const { responseFormat } = generation;
+    const formatText = responseFormat ? buildResponseFormatInstructions(responseFormat) : '';
+    const mossRequest = convertToMossFormat(body, token, record, {
+      toolText, formatText, images, reasoning, isCommand: ChatCommands.matcher(req)
+    });
+    const turn = { model, prompt: mossRequest.prompt, conversationId: record.conversationId };
+
+    // 使用 AbortController 处理客户端断开连接的情况
+    const controller = new AbortController();
+    req.on('close', () => {
+      controller.abort(); // 客户端断开时，中止上游请求，节省资源
+      Logger.info('客户端连接断开，中止上游请求', { requestId });
+    });
+
+    // 启用工具时，<tool_call> 之后的内容不直接转发给客户端；每次重试重新建立，丢弃失败尝试暂存的片段
+    let toolFilter = null;
+    // 指定 JSON 输出格式时正文需要完整校验，流式请求在校验通过后一次性下发
+    const holdContent = Boolean(responseFormat);
+    // 首字耗时从第一次调用上游算起，包含重试等待
+    const turnStartedAt = Date.now();
+    let firstTokenObserved = false;
+
+    /**
+     * 调用一次上游补全；silent 为 true 时不转发增量（工具、JSON 纠错轮次）
+     * stop / max_tokens 截断后不再转发，但仍读完上游响应以获取消耗记录
+     * 已开始输出后发生的上游错误记录在 reply.apiError 上返回
+     */
+    const attempt = async (request, silent) => {
+      if (toolSettings && hooks.onDelta && !silent && !holdContent) {
+        toolFilter = createToolCallFilter(text => hooks.onDelta(text, turn));
+      }
+      const deliver = (event) => {
+        if (silent || !event.text) return;
+        if (!firstTokenObserved) {
+          firstTokenObserved = true;
+          Metrics.observe('time_to_first_token_seconds', { model }, (Date.now() - turnStartedAt) / 1000);
+        }
+        if (event.type === 'reasoning') {
+          if (hooks.onReasoning) hooks.onReasoning(event.text, turn);
+          return;
+        }
+        if (event.type !== 'content' || !hooks.onDelta || holdContent) return;
+        if (toolFilter) toolFilter.push(event.text);
+        else hooks.onDelta(event.text, turn);
+      };
+      const limiter = generation.stop || generation.maxTokens
+        ? createOutputLimiter(generation, text => deliver({ type: 'content', text }))
+        : null;
+
+      let response;
+      try {
+        // 超时只限制等待响应头，LLM 生成慢，读取响应体不设超时
+        response = await fetchClient(request.url, {
+          method: 'POST',
+          headers: request.headers,
+          body: request.body,
+          signal: controller.signal
+        }, RetryPolicy.connectTimeoutMs);
+      } catch (err) {
+        if (controller.signal.aborted) throw err;
+        if (err.name === 'AbortError') {
+          throw new ApiError(504, '上游响应超时', { type: 'server_error', code: 'upstream_timeout' });
+        }
+        throw new ApiError(502, `上游连接失败: ${err.message}`, { type: 'server_error', code: 'upstream_error' });
+      }
+
+      if (!response.ok) {
+        throw translateUpstreamError(`Moss API Error: ${response.status}`, response.status);
+      }
+
+      let reply;
+      try {
+        // 上游只有 NDJSON 流式接口，非流式请求同样在代理侧聚合
+        reply = await consumeMossStream(response.body, (event) => {
+          // 客户端已断开，停止读取上游
+          if (res.writableEnded) return false;
+          if (event.type === 'error') return false;
+          if (event.type === 'content' && limiter) limiter.push(event.text);
+          else deliver(event);
+        });
+        if (limiter) {
+          limiter.flush();
+          const limited = limiter.result();
+          reply.content = limited.text;
+          if (limited.finishReason) Object.assign(reply, { finishReason: limited.finishReason, stopSequence: limited.stopSequence });
+        }
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        Logger.error('Stream Error', err);
+        if (!res.headersSent) throw new ApiError(502, '上游连接中断', { type: 'server_error', code: 'upstream_error' });
+        reply = { content: '', error: { message: '上游连接中断' } };
+      }
+
+      if (reply.error) {
+        const apiError = translateUpstreamError(reply.error.message);
+        Logger.warn('上游返回错误', { requestId, status: apiError.status, message: apiError.message });
+        if (!res.headersSent) throw apiError;
+        Metrics.inc('upstream_errors_total', { model, code: apiError.code });
+        AccountPool.reportError(account, apiError);
+        ModelHealth.recordFailure(model, apiError);
+        reply.apiError = apiError;
+      }
+      return reply;
+    };
+
+    /**
+     * 带重试的上游调用：尚未向客户端输出任何内容时，瞬时故障按退避间隔重试，Token 被拒绝时重新登录后重放一次
+     */
+    const complete = async (request, silent = false) => {
+      for (let retry = 0; ;) {
+        try {
+          const reply = await attempt(request, silent);
+          if (!reply.apiError) ModelHealth.recordSuccess(model);
+          return reply;
+        } catch (err) {
+          if (controller.signal.aborted || !(err instanceof ApiError)) throw err;
+          Metrics.inc('upstream_errors_total', { model, code: err.code });
+          if (await reloginOnce(err)) {
+            request = { ...request, headers: { ...request.headers, token } };
+            continue;
+          }
+          // 重试用尽才计入熔断，一次请求最多记一次失败
+          if (res.headersSent || retry >= RetryPolicy.maxRetries || !RetryPolicy.isRetryable(err)) {
+            ModelHealth.recordFailure(model, err);
+            throw err;
+          }
+          const delay = RetryPolicy.delay(retry++);
+          Logger.warn('上游请求失败，稍后重试', { requestId, model, retry: retry + 1, delay, code: err.code });
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    };
+
+    const reply = await complete(mossRequest);
+    if (reply.apiError) return { model, content: reply.content, error: reply.apiError };
+    const usage = buildUsage(mossRequest.prompt, reply.content, reply.meter, reply.reasoning);
+
+    let content = reply.content;
+    let toolCalls = [];
+    if (toolSettings) {
+      toolFilter?.flush();
+      let parsed = parseToolCalls(reply.content, toolSettings);
+      if (parsed.errors.length) {
+        // 在同一上游会话里指出错误，让模型纠正一次
+        Logger.warn('工具调用无效，请求模型纠正', { requestId, errors: parsed.errors });
+        const repairRequest = convertToMossFormat(body, token, record, { prompt: buildToolRepairPrompt(parsed.errors) });
+        const repair = await complete(repairRequest, true);
+        if (repair.apiError) return { model, content: parsed.content, error: repair.apiError };
+        addUsage(usage, buildUsage(repairRequest.prompt, repair.content, repair.meter, repair.reasoning));
+        const retried = parseToolCalls(repair.content, toolSettings);
+        parsed = { ...retried, content: parsed.content };
+      }
+      if (parsed.errors.length) {
+        const apiError = new ApiError(502, `模型返回的工具调用无效：${parsed.errors.join('；')}`, { type: 'server_error', code: 'invalid_tool_call' });
+        if (!res.headersSent) throw apiError;
+        return { model, content: parsed.content, error: apiError };
+      }
+      content = parsed.content;
+      toolCalls = parsed.calls;
+    }
+
+    // 被 max_tokens 截断的回复按 OpenAI 的行为原样返回，不做 JSON 校验
+    let final = reply;
+    if (responseFormat && !toolCalls.length && reply.finishReason !== 'length') {
+      let parsed = parseJsonReply(content, responseFormat);
+      const { mode, maxAttempts } = ResponseFormatPolicy;
+      for (let tries = 0; parsed.errors.length && mode !== 'off' && tries < maxAttempts; tries++) {
+        Logger.warn('回复不符合 response_format，请求模型重新输出', { requestId, mode, errors: parsed.errors });
+        const prompt = mode === 'repair' ? buildResponseFormatRepairPrompt(parsed.errors) : mossRequest.prompt;
+        const retryRequest = convertToMossFormat(body, token, record, { prompt });
+        final = await complete(retryRequest, true);
+        if (final.apiError) return { model, content, error: final.apiError };
+        addUsage(usage, buildUsage(retryRequest.prompt, final.content, final.meter, final.reasoning));
+        content = final.content;
+        parsed = final.finishReason === 'length' ? { text: content, errors: [] } : parseJsonReply(content, responseFormat);
+      }
+      if (parsed.errors.length) {
+        const apiError = new ApiError(502, `模型回复不符合 response_format：${parsed.errors.join('；')}`, { type: 'server_error', code: 'invalid_response_format' });
+        if (!res.headersSent) throw apiError;
+        return { model, content, error: apiError };
+      }
+      content = parsed.text;
+    }
+    if (holdContent && hooks.onDelta && content) hooks.onDelta(content, turn);
+
+    // 工具调用按统一格式入库，客户端回传的历史才能对上同步前缀
+    const committed = toolCalls.length
+      ? formatMessageText({ role: 'assistant', content, tool_calls: toolCalls })
+      : content;
+    if (committed && !thread.ephemeral) await commitTurn(thread, record, messages, committed);
+    recordUsage(req, model, usage);
+
+    return {
+      model,
+      content,
+      reasoning: reply.reasoning,
+      toolCalls,
+      finishReason: toolCalls.length ? 'tool_calls' : final.finishReason,
+      stopSequence: toolCalls.length ? null : final.stopSequence || null,
+      usage,
+      msgId: final.msgId
+    };
+  } finally {
+    release();
+    lease?.release?.();
+  }
+};
+
+/**
+ * 开始 SSE 输出。响应头延迟到首个内容事件再发送，首包前的上游错误可以直接返回对应的 HTTP 状态码
+ */
+const openEventStream = (res, requestId) => {
+  if (res.headersSent) return;
+  Metrics.inc('active_streams');
+  res.on('close', () => Metrics.inc('active_streams', {}, -1));
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Request-ID': requestId
+  });
+};
+
+/**
+ * 生成 n 个候选回复：第一个使用客户端的对话线程，其余各自新建临时上游会话并行生成
+ * hooksFor(index) 返回各候选的流式回调；输出前任一候选失败则整体失败，已开始输出后的失败记录在对应候选的 error 上
+ */
+const runChatChoices = async (req, res, body, n, hooksFor = () => ({})) => {
+  if (n === 1) return [await runChatPipeline(req, res, body, hooksFor(0))];
+  // 每个候选都会登记连接关闭时的清理回调
+  req.setMaxListeners(0);
+  res.setMaxListeners(0);
+  const settled = await Promise.allSettled(Array.from({ length: n }, (_, index) => runChatPipeline(req, res, body, {
+    ...hooksFor(index),
+    ...(index > 0 && { ephemeralThread: `${req.requestId}:${index}` })
+  })));
+  const failed = settled.find(item => item.status === 'rejected');
+  if (failed && (!res.headersSent || !(failed.reason instanceof ApiError))) throw failed.reason;
+  return settled
+    .map(item => item.status === 'fulfilled' ? item.value : { model: body.model, content: '', error: item.reason })
+    .filter(Boolean);
+};
+
+/**
+ * 合计各候选回复的 usage
+ */
+const sumUsage = (results) => results.slice(1)
+  .reduce((usage, result) => result.usage ? addUsage(usage, result.usage) : usage, structuredClone(results[0].usage));
+
+app.post('/v1/chat/completions', authenticateToken, rateLimit, asyncHandler(async (req, res) => {
+  const { stream } = req.body;
+  const requestId = req.requestId;
+  const created = Math.floor(Date.now() / 1000);
+  const { n } = resolveGenerationSettings(req.body);
+
+  if (!stream) {
+    const results = await runChatChoices(req, res, req.body, n);
+    const [first] = results;
+    if (first.notice) return sendSystemMessage(res, first.notice, false, first.model, requestId);
+
+    return res.json({
+      id: `chatcmpl-${requestId}`,
+      object: 'chat.completion',
+      created,
+      model: first.model,
+      choices: results.map((result, index) => ({
+        message: {
+          role: 'assistant',
+          content: result.toolCalls.length ? result.content || null : result.content,
+          ...(result.reasoning && { reasoning_content: result.reasoning }),
+          ...(result.toolCalls.length && { tool_calls: result.toolCalls })
+        },
+        finish_reason: result.finishReason,
+        index
+      })),
+      usage: sumUsage(results),
+      moss_msg_id: first.msgId
+    });
+  }
+
+  const buildChunk = (model, delta, finishReason = null, index = 0) => ({
+    id: `chatcmpl-${requestId}`,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ delta, index, finish_reason: finishReason }]
+  });
+
+  const sentRole = new Set();
+  const writeDelta = (index, model, delta) => {
+    openEventStream(res, requestId);
+    res.write(`data: ${JSON.stringify(buildChunk(model, sentRole.has(index) ? delta : { role: 'assistant', ...delta }, null, index))}\n\n`);
+    sentRole.add(index);
+  };
+  const results = await runChatChoices(req, res, req.body, n, (index) => ({
+    onDelta: (text, turn) => writeDelta(index, turn.model, { content: text }),
+    // 思维链按 DeepSeek / OpenRouter 的约定以 reasoning_content 下发
+    onReasoning: (text, turn) => writeDelta(index, turn.model, { reasoning_content: text })
+  }));
+  const [first] = results;
+  if (first.notice) return sendSystemMessage(res, first.notice, true, first.model, requestId);
+  if (res.writableEnded) return;
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    // 已开始输出：发送错误事件后结束流
+    res.write(`data: ${JSON.stringify(failed.error)}\n\n`);
+    res.write('data: [DONE]\n\n');
+    return res.end();
+  }
+
+  openEventStream(res, requestId);
+  results.forEach((result, index) => {
+    // 工具调用在回复结束、参数校验通过后一次性下发
+    result.toolCalls.forEach((call, callIndex) => {
+      const delta = { tool_calls: [{ index: callIndex, ...call }] };
+      writeDelta(index, result.model, sentRole.has(index) ? delta : { content: null, ...delta });
+    });
+    res.write(`data: ${JSON.stringify({ ...buildChunk(result.model, {}, result.finishReason, index), moss_msg_id: result.msgId })}\n\n`);
+  });
+  if (req.body.stream_options?.include_usage) {
+    res.write(`data: ${JSON.stringify({ ...buildChunk(first.model, {}), choices: [], usage: sumUsage(results) })}\n\n`);
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+}));
+
+// ==========================================
+// 协议适配：Anthropic Messages API
+// ==========================================
+
+const useAnthropicFormat = (req, res, next) => {
+  req.apiFormat = 'anthropic';
+  next();
+};
+
+/**
+ * Anthropic content blocks 转为 OpenAI content parts
+ */
+const anthropicContentToParts = (content) => {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  const parts = [];
+  for (const block of content) {
+    if (block?.type === 'text') {
+      parts.push({ type: 'text', text: block.text || '' });
+    } else if (block?.type === 'image' && block.source) {
+      const url = block.source.type === 'base64'
+        ? `data:${block.source.media_type};base64,${block.source.data}`
+        : block.source.url;
+      parts.push({ type: 'image_url', image_url: { url } });
+    }
+  }
+  return parts;
+};
+
+/**
+ * Anthropic 请求体转为 OpenAI chat 请求体：system 提到消息首位，stop_sequences 对应 stop
+ */
+const anthropicToChatBody = (body) => {
+  if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) {
+    throw new ApiError(400, 'max_tokens: Field required', { param: 'max_tokens', code: 'invalid_value' });
+  }
+  const messages = [];
+  if (body.system) {
+    const system = Array.isArray(body.system) ? body.system.map(b => b.text || '').join('\n') : body.system;
+    messages.push({ role: 'system', content: system });
+  }
+  for (const message of Array.isArray(body.messages) ? body.messages : []) {
+    messages.push({ role: message?.role, content: anthropicContentToParts(message?.content) });
+  }
+  return {
+    model: body.model,
+    messages,
+    stream: Boolean(body.stream),
+    max_tokens: body.max_tokens,
+    stop: body.stop_sequences,
+    temperature: body.temperature
+  };
+};
+
+const ANTHROPIC_STOP_REASONS = { stop: 'end_turn', length: 'max_tokens' };
+
+/**
+ * OpenAI finish_reason 转为 Anthropic 的 [stop_reason, stop_sequence]
+ */
+const anthropicStopReason = (result) => result.stopSequence
+  ? ['stop_sequence', result.stopSequence]
+  : [ANTHROPIC_STOP_REASONS[result.finishReason] || 'end_turn', null];
+
+app.post('/v1/messages', useAnthropicFormat, authenticateToken, rateLimit, asyncHandler(async (req, res) => {
+  const requestId = req.requestId;
+  const messageId = `msg_${requestId.replace(/-/g, '')}`;
+  const body = anthropicToChatBody(req.body || {});
+
+  const buildMessage = (model, content, [stopReason, stopSequence], usage) => ({
+    id: messageId,
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: content === null ? [] : [{ type: 'text', text: content }],
+    stop_reason: stopReason,
+    stop_sequence: stopSequence,
+    usage
+  });
+
+  if (!body.stream) {
+    const result = await runChatPipeline(req, res, body);
+    if (result.notice) {
+      return res.json(buildMessage(result.model, result.notice, ['end_turn', null], { input_tokens: 0, output_tokens: 0 }));
+    }
+    return res.json(buildMessage(result.model, result.content, anthropicStopReason(result), {
+      input_tokens: result.usage.prompt_tokens,
+      output_tokens: result.usage.completion_tokens
+    }));
+  }
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let started = false;
+  const start = (model, inputTokens) => {
+    if (started) return;
+    started = true;
+    openEventStream(res, requestId);
+    send('message_start', { type: 'message_start', message: buildMessage(model, null, [null, null], { input_tokens: inputTokens, output_tokens: 0 }) });
+    send('content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } });
+    send('ping', { type: 'ping' });
+  };
+  const delta = (text) => send('content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } });
+  const finish = ([stopReason, stopSequence], outputTokens) => {
+    send('content_block_stop', { type: 'content_block_stop', index: 0 });
+    send('message_delta', { type: 'message_delta', delta: { stop_reason: stopReason, stop_sequence: stopSequence }, usage: { output_tokens: outputTokens } });
+    send('message_stop', { type: 'message_stop' });
+    res.end();
+  };
+
+  const result = await runChatPipeline(req, res, body, {
+    onDelta: (text, turn) => {
+      start(turn.model, estimateTokens(turn.prompt));
+      delta(text);
+    }
+  });
+  if (res.writableEnded) return;
+
+  if (result.notice) {
+    start(result.model, 0);
+    delta(result.notice);
+    return finish(['end_turn', null], estimateTokens(result.notice));
+  }
+  if (result.error) {
+    // 已开始输出：发送 error 事件后结束流
+    send('error', result.error.toAnthropic());
+    return res.end();
+  }
+  start(result.model, result.usage.prompt_tokens);
+  finish(anthropicStopReason(result), result.usage.completion_tokens);
+}));
 
-  if (!response.ok) {
-    throw new Error(`Moss API Error: ${response.status}`);
+// ==========================================
+// 协议适配：OpenAI Responses API
+// ==========================================
+
+/**
+ * Responses input 内容转为 chat content parts
+ */
+const responsesContentToParts = (content) => {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  const parts = [];
+  for (const part of content) {
+    if (part?.type === 'input_text' || part?.type === 'output_text' || part?.type === 'text') {
+      parts.push({ type: 'text', text: part.text || '' });
+    } else if (part?.type === 'input_image') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      if (url) parts.push({ type: 'image_url', image_url: { url } });
+    }
   }
+  return parts;
+};
 
-  if (stream) {
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'X-Request-ID': requestId
-    });
+/**
+ * Responses API 的 text.format 与 chat 的 response_format 只是结构不同：json_schema 的字段平铺在 format 上
+ */
+const responsesTextFormat = (format) => {
+  if (format?.type !== 'json_schema') return format;
+  const { type, ...spec } = format;
+  return { type, json_schema: spec };
+};
 
-    const reader = response.body;
-    let buffer = '';
+/**
+ * Responses 请求体转为 chat 请求体
+ * previous_response_id 会接上此前整条链的消息历史，并沿用链首 ID 作为线程，继续使用同一个上游会话
+ * 返回 { body, chainId }，新链的 chainId 为 null
+ */
+const responsesToChatBody = async (req, body) => {
+  let history = [];
+  let chainId = null;
+  if (body.previous_response_id) {
+    const previous = await responseStore.get(body.previous_response_id);
+    if (!previous || previous.clientId !== req.clientId) {
+      throw new ApiError(404, `Previous response with id '${body.previous_response_id}' not found.`, {
+        param: 'previous_response_id', code: 'previous_response_not_found'
+      });
+    }
+    // 未提供新的 instructions 时沿用链上原有的系统提示，保持与上游会话中的上下文一致
+    history = body.instructions
+      ? previous.messages.filter(m => m.role !== 'system' && m.role !== 'developer')
+      : previous.messages;
+    chainId = previous.chainId;
+  }
 
-    reader.on('data', (chunk) => {
-      // 检查客户端是否还在连接
-      if (res.writableEnded) {
-        reader.destroy();
-        return;
-      }
+  const items = typeof body.input === 'string'
+    ? [{ role: 'user', content: body.input }]
+    : (Array.isArray(body.input) ? body.input : []);
+  const input = items
+    .filter(item => item && (item.type === undefined || item.type === 'message'))
+    .map(item => ({ role: item.role, content: responsesContentToParts(item.content) }));
 
-      buffer += chunk.toString();
-      const lines = buffer.split('\n');
-      buffer = lines.pop();
+  const messages = [];
+  if (body.instructions) messages.push({ role: 'system', content: body.instructions });
+  messages.push(...history, ...input);
 
-      for (const line of lines) {
-        if (!line.trim()) continue;
-        try {
-          const parsed = JSON.parse(line);
-          // 错误处理
-          if (typeof parsed?.code === 'number' && parsed.code !== 0) {
-            const errChunk = { choices: [{ delta: { content: `Error: ${parsed.msg}` } }] };
-            res.write(`data: ${JSON.stringify(errChunk)}\n\n`);
-            continue;
-          }
+  const chatBody = {
+    model: body.model,
+    messages,
+    stream: Boolean(body.stream),
+    max_tokens: body.max_output_tokens,
+    response_format: responsesTextFormat(body.text?.format),
+    reasoning_effort: body.reasoning?.effort,
+    temperature: body.temperature
+  };
+  return { body: chatBody, chainId };
+};
 
-          const content = parsed?.msgItem?.theContent || '';
-          if (content) {
-            const streamData = {
-              id: `chatcmpl-${requestId}`,
-              object: 'chat.completion.chunk',
-              created: Math.floor(Date.now() / 1000),
-              model: model,
-              choices: [{ delta: { content }, index: 0, finish_reason: null }]
-            };
-            res.write(`data: ${JSON.stringify(streamData)}\n\n`);
-          }
-        } catch (e) {
-          // 忽略解析错误
-        }
-      }
-    });
+app.post('/v1/responses', authenticateToken, rateLimit, asyncHandler(async (req, res) => {
+  const requestId = req.requestId;
+  const responseId = `resp_${requestId.replace(/-/g, '')}`;
+  const itemId = `msg_${requestId.replace(/-/g, '')}`;
+  const createdAt = Math.floor(Date.now() / 1000);
+  const { body, chainId } = await responsesToChatBody(req, req.body || {});
+  // 新链以本次响应ID作为线程ID
+  req.responseChain = chainId || responseId;
 
-    reader.on('end', () => {
-      if (!res.writableEnded) {
-        res.write('data: [DONE]\n\n');
-        res.end();
-      }
+  const buildItem = (text, status) => ({
+    type: 'message',
+    id: itemId,
+    status,
+    role: 'assistant',
+    content: text === null ? [] : [{ type: 'output_text', text, annotations: [] }]
+  });
+  const buildResponse = (model, status, { text = null, usage = null, error = null, finishReason = null } = {}) => ({
+    id: responseId,
+    object: 'response',
+    created_at: createdAt,
+    status,
+    error,
+    incomplete_details: finishReason === 'length' ? { reason: 'max_output_tokens' } : null,
+    instructions: req.body.instructions || null,
+    max_output_tokens: req.body.max_output_tokens || null,
+    model,
+    output: text === null ? [] : [buildItem(text, status === 'in_progress' ? 'in_progress' : 'completed')],
+    parallel_tool_calls: true,
+    previous_response_id: req.body.previous_response_id || null,
+    store: req.body.store !== false,
+    temperature: req.body.temperature ?? 1,
+    text: { format: req.body.text?.format || { type: 'text' } },
+    tool_choice: 'auto',
+    tools: [],
+    top_p: req.body.top_p ?? 1,
+    usage: usage && {
+      input_tokens: usage.prompt_tokens,
+      input_tokens_details: { cached_tokens: 0 },
+      output_tokens: usage.completion_tokens,
+      output_tokens_details: { reasoning_tokens: usage.completion_tokens_details?.reasoning_tokens || 0 },
+      total_tokens: usage.total_tokens
+    },
+    metadata: req.body.metadata || {}
+  });
+
+  // 保存本轮完整历史，供 previous_response_id 续接；写入完成后再响应，客户端紧接着续接时可能落到其他 worker
+  const remember = async (response, text) => {
+    if (req.body.store === false) return;
+    await responseStore.set(responseId, {
+      clientId: req.clientId,
+      chainId: req.responseChain,
+      messages: [...body.messages, { role: 'assistant', content: text }],
+      response
     });
+  };
 
-    reader.on('error', (err) => {
-      if (err.name !== 'AbortError') {
-        Logger.error('Stream Error', err);
-      }
-      if (!res.writableEnded) res.end();
+  const finalize = async (result) => {
+    const text = result.notice ?? result.content;
+    const usage = result.usage || buildUsage('', text);
+    const status = result.finishReason === 'length' ? 'incomplete' : 'completed';
+    const response = buildResponse(result.model, status, { text, usage, finishReason: result.finishReason });
+    await remember(response, text);
+    return response;
+  };
+
+  if (!body.stream) {
+    const result = await runChatPipeline(req, res, body);
+    return res.json(await finalize(result));
+  }
+
+  let sequence = 0;
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequence++, ...data })}\n\n`);
+  const position = { item_id: itemId, output_index: 0, content_index: 0 };
+  let started = false;
+  const start = (model) => {
+    if (started) return;
+    started = true;
+    openEventStream(res, requestId);
+    const response = buildResponse(model, 'in_progress');
+    send('response.created', { response });
+    send('response.in_progress', { response });
+    send('response.output_item.added', { output_index: 0, item: buildItem(null, 'in_progress') });
+    send('response.content_part.added', { ...position, part: { type: 'output_text', text: '', annotations: [] } });
+  };
+
+  const result = await runChatPipeline(req, res, body, {
+    onDelta: (text, turn) => {
+      start(turn.model);
+      send('response.output_text.delta', { ...position, delta: text });
+    }
+  });
+  if (res.writableEnded) return;
+
+  start(result.model);
+  if (result.error) {
+    const error = { code: result.error.code || 'server_error', message: result.error.message };
+    send('response.failed', { response: buildResponse(result.model, 'failed', { text: result.content, error }) });
+    return res.end();
+  }
+  if (result.notice) send('response.output_text.delta', { ...position, delta: result.notice });
+
+  const response = await finalize(result);
+  const text = result.notice ?? result.content;
+  send('response.output_text.done', { ...position, text });
+  send('response.content_part.done', { ...position, part: { type: 'output_text', text, annotations: [] } });
+  send('response.output_item.done', { output_index: 0, item: response.output[0] });
+  send(response.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response });
+  res.end();
+}));
+
+app.get('/v1/responses/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const stored = await responseStore.get(req.params.id);
+  if (!stored || stored.clientId !== req.clientId) {
+    throw new ApiError(404, `Response with id '${req.params.id}' not found.`, { code: 'response_not_found' });
+  }
+  res.json(stored.response);
+}));
+
+// ==========================================
+// 协议适配：旧版文本补全 /v1/completions
+// ==========================================
+
+app.post('/v1/completions', authenticateToken, rateLimit, asyncHandler(async (req, res) => {
+  const requestId = req.requestId;
+  const created = Math.floor(Date.now() / 1000);
+  let { prompt } = req.body;
+  if (Array.isArray(prompt)) {
+    if (prompt.length !== 1 || typeof prompt[0] !== 'string') {
+      throw new ApiError(400, 'Only a single string prompt is supported', { param: 'prompt', code: 'invalid_value' });
+    }
+    prompt = prompt[0];
+  }
+  if (typeof prompt !== 'string') {
+    throw new ApiError(400, "'prompt' must be a string", { param: 'prompt', code: 'invalid_type' });
+  }
+
+  const body = {
+    model: req.body.model,
+    messages: [{ role: 'user', content: prompt }],
+    stream: Boolean(req.body.stream),
+    max_tokens: req.body.max_tokens,
+    stop: req.body.stop,
+    temperature: req.body.temperature,
+    user: req.body.user
+  };
+  const prefix = req.body.echo ? prompt : '';
+  const buildCompletion = (model, text, finishReason) => ({
+    id: `cmpl-${requestId}`,
+    object: 'text_completion',
+    created,
+    model,
+    choices: [{ text, index: 0, logprobs: null, finish_reason: finishReason }]
+  });
+
+  if (!body.stream) {
+    const result = await runChatPipeline(req, res, body);
+    const text = result.notice ?? result.content;
+    return res.json({
+      ...buildCompletion(result.model, prefix + text, result.finishReason || 'stop'),
+      usage: result.usage || buildUsage(prompt, text)
     });
+  }
+
+  let started = false;
+  const write = (model, text, finishReason = null) => {
+    if (!started) {
+      started = true;
+      openEventStream(res, requestId);
+      if (prefix) res.write(`data: ${JSON.stringify(buildCompletion(model, prefix, null))}\n\n`);
+    }
+    res.write(`data: ${JSON.stringify(buildCompletion(model, text, finishReason))}\n\n`);
+  };
+
+  const result = await runChatPipeline(req, res, body, {
+    onDelta: (text, turn) => write(turn.model, text)
+  });
+  if (res.writableEnded) return;
 
+  if (result.error) {
+    res.write(`data: ${JSON.stringify(result.error)}\n\n`);
   } else {
-    const data = await response.json();
-    const openaiResp = {
-      id: `chatcmpl-${requestId}`,
-      object: 'chat.completion',
-      created: Math.floor(Date.now() / 1000),
-      model: model,
-      choices: [{
-        message: { role: 'assistant', content: data.content || data.text || '' },
-        finish_reason: 'stop',
-        index: 0
-      }]
+    if (result.notice) write(result.model, result.notice);
+    write(result.model, '', result.finishReason || 'stop');
+    if (req.body.stream_options?.include_usage && result.usage) {
+      res.write(`data: ${JSON.stringify({ ...buildCompletion(result.model, '', null), choices: [], usage: result.usage })}\n\n`);
+    }
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+}));
+
+// ==========================================
+// 图像生成 /v1/images/generations
+// 通过上游图像模型的对话接口生成，再从回复中提取图片地址
+// ==========================================
+
+const IMAGE_GENERATION_MODEL = process.env.IMAGE_GENERATION_MODEL || 'gpt-4o-image';
+const IMAGE_GENERATION_MAX_N = 4;
+const GENERATED_IMAGE_MAX_BYTES = 20 * 1024 * 1024;
+const IMAGE_SIZE_PATTERN = /^(auto|\d{2,4}x\d{2,4})$/;
+
+/**
+ * 从模型回复中提取图片地址：优先 Markdown 图片语法，其次裸露的 http(s) 链接
+ */
+const extractImageUrls = (text) => {
+  const markdown = [...text.matchAll(/!\[[^\]]*\]\((https?:\/\/[^\s)]+)\)/g)].map(match => match[1]);
+  const urls = markdown.length
+    ? markdown
+    : [...text.matchAll(/https?:\/\/[^\s)"'<>\]]+/g)].map(match => match[0]);
+  return [...new Set(urls)];
+};
+
+app.post('/v1/images/generations', authenticateToken, rateLimit, asyncHandler(async (req, res) => {
+  const { prompt, n = 1, size = 'auto', quality, style, response_format: responseFormat = 'url' } = req.body;
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    throw new ApiError(400, "'prompt' must be a non-empty string", { param: 'prompt', code: 'missing_required_parameter' });
+  }
+  if (!Number.isInteger(n) || n < 1 || n > IMAGE_GENERATION_MAX_N) {
+    throw new ApiError(400, `'n' must be an integer between 1 and ${IMAGE_GENERATION_MAX_N}`, { param: 'n', code: 'invalid_value' });
+  }
+  if (typeof size !== 'string' || !IMAGE_SIZE_PATTERN.test(size)) {
+    throw new ApiError(400, "Invalid value for 'size'", { param: 'size', code: 'invalid_value' });
+  }
+  if (!['url', 'b64_json'].includes(responseFormat)) {
+    throw new ApiError(400, "'response_format' must be 'url' or 'b64_json'", { param: 'response_format', code: 'invalid_value' });
+  }
+
+  // dall-e-3 / gpt-image-1 等目录外的模型名统一使用上游图像模型
+  const model = ModelCatalog.find(req.body.model) ? req.body.model : IMAGE_GENERATION_MODEL;
+  const requirements = [
+    size !== 'auto' && `尺寸：${size}`,
+    quality && `质量：${quality}`,
+    style && `风格：${style}`,
+    '请直接生成图片。'
+  ].filter(Boolean);
+  const content = `${prompt.trim()}\n\n${requirements.join('\n')}`;
+
+  // 每次生成使用独立的临时上游会话（不保存会话绑定），直到凑够 n 张
+  const urls = [];
+  for (let i = 0; i < n && urls.length < n; i++) {
+    const result = await runChatPipeline(req, res, {
+      model,
+      messages: [{ role: 'user', content }]
+    }, { ephemeralThread: `images:${req.requestId}:${i}`, imageGeneration: true });
+    // 临时线程不执行聊天指令，提示词恰好是指令时按没有生成图片处理
+    const reply = result ? result.content : '';
+    const found = extractImageUrls(reply);
+    if (!found.length) {
+      Logger.warn('图像生成回复中没有图片地址', { requestId: req.requestId, reply: reply.slice(0, 200) });
+      if (urls.length) break;
+      throw new ApiError(502, `上游未返回图片：${reply.slice(0, 200)}`, {
+        type: 'server_error', code: 'image_generation_failed'
+      });
+    }
+    urls.push(...found);
+  }
+
+  // 图片地址来自模型回复，可能被提示词注入：下载同样只允许公网地址，并且内容必须是图片
+  const data = [];
+  for (const url of urls.slice(0, n)) {
+    if (responseFormat === 'url') {
+      data.push({ url });
+      continue;
+    }
+    let buffer;
+    try {
+      buffer = await downloadImage(url, 'response_format', GENERATED_IMAGE_MAX_BYTES);
+    } catch (err) {
+      throw new ApiError(502, `生成的图片下载失败：${err.message}`, { type: 'server_error', code: 'image_download_failed' });
+    }
+    if (!IMAGE_SIGNATURES.some(signature => signature.test(buffer))) {
+      Logger.warn('生成的图片地址返回的不是图片', { requestId: req.requestId, url, bytes: buffer.length });
+      throw new ApiError(502, '生成的图片下载失败：内容不是 png、jpeg、gif 或 webp 图片', { type: 'server_error', code: 'image_download_failed' });
+    }
+    data.push({ b64_json: buffer.toString('base64') });
+  }
+  res.json({ created: Math.floor(Date.now() / 1000), data });
+}));
+
+// ==========================================
+// 会话管理：列出、创建、重命名、重置、删除当前 Key 绑定的上游会话
+// ==========================================
+
+/**
+ * 会话ID与存储键互转：显式线程（X-Conversation-Id / user）的ID原样使用，按历史指纹识别的线程为 fp:<摘要>
+ */
+const conversationKey = (req, id) => id.startsWith('fp:') ? `${req.clientId}:${id}` : `${req.clientId}:id:${id}`;
+
+const conversationIdFromKey = (req, key) => {
+  const rest = key.slice(req.clientId.length + 1);
+  return rest.startsWith('id:') ? rest.slice(3) : rest;
+};
+
+const formatConversation = (id, record) => ({
+  id,
+  object: 'conversation',
+  title: record.title || null,
+  model: record.model || null,
+  upstream_conversation_id: record.conversationId,
+  synced_messages: record.syncedCount,
+  created_at: record.createdAt ? Math.floor(record.createdAt / 1000) : null,
+  updated_at: record.updatedAt ? Math.floor(record.updatedAt / 1000) : null
+});
+
+const findConversation = async (req) => {
+  const key = conversationKey(req, req.params.id);
+  const record = await conversationStore.get(key);
+  if (!record) {
+    throw new ApiError(404, `No conversation found with id '${req.params.id}'`, { param: 'id', code: 'conversation_not_found' });
+  }
+  return { key, record };
+};
+
+/**
+ * 在上游新建会话，只占用账号创建会话的这一次请求
+ */
+const openUpstreamConversation = async (req, res, model, preferredAccountId) => {
+  const lease = await acquireUpstream(req, res, preferredAccountId);
+  try {
+    const conversationId = await createNewConversation(lease.token, model);
+    return { conversationId, account: lease.account };
+  } finally {
+    lease.release?.();
+  }
+};
+
+const validateConversationTitle = (title) => {
+  if (title != null && (typeof title !== 'string' || title.length > 200)) {
+    throw new ApiError(400, "Invalid value for 'title': expected a string of at most 200 characters", { param: 'title', code: 'invalid_value' });
+  }
+};
+
+app.get('/v1/conversations', authenticateToken, asyncHandler(async (req, res) => {
+  // Responses 链（:chain:）随 previous_response_id 续接，不作为会话列出
+  const entries = (await Promise.all(['id:', 'fp:'].map(ns => conversationStore.list(`${req.clientId}:${ns}`)))).flat();
+  const data = entries
+    .map(({ key, value }) => formatConversation(conversationIdFromKey(req, key), value))
+    .sort((a, b) => (b.updated_at || 0) - (a.updated_at || 0));
+  res.json({ object: 'list', data });
+}));
+
+/**
+ * 预先创建会话：返回的 id 通过 X-Conversation-Id 请求头或 user 字段在聊天请求中使用
+ */
+app.post('/v1/conversations', authenticateToken, asyncHandler(async (req, res) => {
+  const { id, title, model = 'gpt-4o-mini' } = req.body || {};
+  if (id !== undefined && (typeof id !== 'string' || !id.trim() || id.length > 128 || id.startsWith('fp:'))) {
+    throw new ApiError(400, "Invalid value for 'id': expected a non-empty string of at most 128 characters not starting with 'fp:'", { param: 'id', code: 'invalid_value' });
+  }
+  validateConversationTitle(title);
+  if (typeof model !== 'string' || (!ModelCatalog.find(model) && process.env.ALLOW_UNLISTED_MODELS !== 'true')) {
+    throw new ApiError(404, `The model '${model}' does not exist`, { param: 'model', code: 'model_not_found' });
+  }
+  assertModelAllowed(req, model);
+
+  const threadId = id || `conv_${crypto.randomBytes(12).toString('hex')}`;
+  const key = conversationKey(req, threadId);
+  const release = await conversationLocks.acquire(key);
+  try {
+    if (await conversationStore.has(key)) {
+      throw new ApiError(409, `Conversation '${threadId}' already exists`, { param: 'id', code: 'conversation_exists' });
+    }
+    const { conversationId, account } = await openUpstreamConversation(req, res, model);
+    const record = createConversationRecord(conversationId, account, model, title);
+    await conversationStore.set(key, record);
+    res.status(201).json(formatConversation(threadId, record));
+  } finally {
+    release();
+  }
+}));
+
+app.get('/v1/conversations/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const { record } = await findConversation(req);
+  res.json(formatConversation(req.params.id, record));
+}));
+
+// 重命名：标题只保存在代理侧
+app.post('/v1/conversations/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const { title } = req.body || {};
+  validateConversationTitle(title);
+  const release = await conversationLocks.acquire(conversationKey(req, req.params.id));
+  try {
+    const { key, record } = await findConversation(req);
+    record.title = title || null;
+    record.updatedAt = Date.now();
+    await conversationStore.set(key, record);
+    res.json(formatConversation(req.params.id, record));
+  } finally {
+    release();
+  }
+}));
+
+/**
+ * 重置：换绑一个新的上游会话，下一轮只发送最新一条消息，客户端带来的旧历史不再回放
+ */
+app.post('/v1/conversations/:id/reset', authenticateToken, asyncHandler(async (req, res) => {
+  const release = await conversationLocks.acquire(conversationKey(req, req.params.id));
+  try {
+    const { key, record } = await findConversation(req);
+    const { conversationId, account } = await openUpstreamConversation(req, res, record.model, record.accountId);
+    const reset = {
+      ...createConversationRecord(conversationId, account, record.model, record.title),
+      createdAt: record.createdAt,
+      freshStart: true
     };
-    res.json(openaiResp);
+    await conversationStore.set(key, reset);
+    Logger.info('会话已通过接口重置', { from: record.conversationId, to: conversationId });
+    res.json(formatConversation(req.params.id, reset));
+  } finally {
+    release();
+  }
+}));
+
+// 删除绑定：上游会话本身保留，之后同一ID的请求会新建上游会话
+app.delete('/v1/conversations/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const release = await conversationLocks.acquire(conversationKey(req, req.params.id));
+  try {
+    await findConversation(req);
+    await conversationStore.delete(conversationKey(req, req.params.id));
+    res.json({ id: req.params.id, object: 'conversation.deleted', deleted: true });
+  } finally {
+    release();
+  }
+}));
+
+// 额度消耗报表：?since=YYYY-MM-DD&until=YYYY-MM-DD，仅返回当前 Key 的数据
+app.get('/v1/usage', authenticateToken, (req, res) => {
+  const { since, until } = req.query;
+  res.json(UsageLedger.report({ since, until, key: req.clientId }));
+});
+
+// 模型列表
+const upstreamTokenProvider = (req, res) => async () => (await acquireUpstream(req, res)).token;
+
+app.get('/v1/models', authenticateToken, asyncHandler(async (req, res) => {
+  await ModelCatalog.ensureFresh(upstreamTokenProvider(req, res));
+  const aliases = Router.listAliases(req).map(({ alias, entry }) => ModelCatalog.toOpenAI(entry, alias));
+  const data = [...ModelCatalog.list(), ...aliases].filter(m => !req.apiKey || KeyStore.isModelAllowed(req.apiKey, m.id));
+  res.json({ object: 'list', data });
+}));
+
+// 单个模型详情（模型名可能含 /，如 Pro/deepseek-ai/DeepSeek-R1）
+app.get('/v1/models/*', authenticateToken, asyncHandler(async (req, res) => {
+  await ModelCatalog.ensureFresh(upstreamTokenProvider(req, res));
+  const modelId = req.params[0];
+  const entry = ModelCatalog.find(modelId) || ModelCatalog.find(Router.alias(Router.config.aliases, modelId));
+  if (!entry || (req.apiKey && !KeyStore.isModelAllowed(req.apiKey, modelId))) {
+    throw new ApiError(404, `The model '${modelId}' does not exist`, { param: 'model', code: 'model_not_found' });
+  }
+  res.json(ModelCatalog.toOpenAI(entry, modelId));
+}));
+
+// ==========================================
+// 管理接口 (Admin Routes)
+// ==========================================
+
+/**
+ * 校验并规整 Key 的可编辑字段
+ */
+const parseKeyFields = (body, { partial = false } = {}) => {
+  const fields = {};
+  if (body.owner !== undefined || !partial) {
+    if (typeof body.owner !== 'string' || !body.owner.trim()) {
+      throw new ApiError(400, "'owner' is required", { param: 'owner', code: 'invalid_value' });
+    }
+    fields.owner = body.owner.trim();
+  }
+  if (body.account !== undefined) {
+    if (body.account !== null && !AccountPool.get(body.account)) {
+      throw new ApiError(400, `Unknown account '${body.account}'`, { param: 'account', code: 'invalid_value' });
+    }
+    fields.account = body.account;
+  }
+  if (body.models !== undefined) {
+    if (!Array.isArray(body.models) || body.models.some(m => typeof m !== 'string')) {
+      throw new ApiError(400, "'models' must be an array of model ids", { param: 'models', code: 'invalid_type' });
+    }
+    fields.models = body.models;
   }
+  if (body.expiresInDays !== undefined) {
+    fields.expiresAt = new Date(Date.now() + Number(body.expiresInDays) * 86400000).toISOString();
+  } else if (body.expiresAt !== undefined) {
+    if (body.expiresAt !== null && Number.isNaN(Date.parse(body.expiresAt))) {
+      throw new ApiError(400, "'expiresAt' must be an ISO date", { param: 'expiresAt', code: 'invalid_value' });
+    }
+    fields.expiresAt = body.expiresAt;
+  }
+  if (body.enabled !== undefined) fields.enabled = Boolean(body.enabled);
+  if (body.limits !== undefined) {
+    const limits = body.limits || {};
+    for (const name of ['rpm', 'concurrency', 'dailyCredits']) {
+      if (limits[name] !== undefined && !(Number.isInteger(limits[name]) && limits[name] >= 0)) {
+        throw new ApiError(400, `'limits.${name}' must be a non-negative integer`, { param: `limits.${name}`, code: 'invalid_value' });
+      }
+    }
+    fields.limits = limits;
+  }
+  if (body.commands !== undefined) {
+    // 聊天指令配置：{ prefix, enabled }，null 表示使用全局配置
+    const commands = body.commands;
+    if (commands !== null && (typeof commands !== 'object' || Array.isArray(commands))) {
+      throw new ApiError(400, "'commands' must be an object", { param: 'commands', code: 'invalid_type' });
+    }
+    if (commands?.prefix !== undefined && (typeof commands.prefix !== 'string' || !/^\S{1,8}$/.test(commands.prefix))) {
+      throw new ApiError(400, "'commands.prefix' must be 1-8 non-whitespace characters", { param: 'commands.prefix', code: 'invalid_value' });
+    }
+    if (commands?.enabled !== undefined && commands.enabled !== null
+      && (!Array.isArray(commands.enabled) || commands.enabled.some(name => !Object.hasOwn(ChatCommands.commands, name)))) {
+      throw new ApiError(400, `'commands.enabled' must be an array of: ${Object.keys(ChatCommands.commands).join(', ')}`, {
+        param: 'commands.enabled', code: 'invalid_value'
+      });
+    }
+    fields.commands = commands;
+  }
+  return fields;
+};
+
+const findKeyOr404 = (id) => {
+  const record = KeyStore.get(id);
+  if (!record) throw new ApiError(404, `API key '${id}' not found`, { code: 'key_not_found' });
+  return record;
+};
+
+app.get('/admin/keys', authenticateAdmin, (req, res) => {
+  res.json({ object: 'list', data: KeyStore.keys.map(k => KeyStore.sanitize(k)) });
+});
+
+app.post('/admin/keys', authenticateAdmin, (req, res) => {
+  const { key, record } = KeyStore.create(parseKeyFields(req.body || {}));
+  Logger.info('创建 API Key', { id: record.id, owner: record.owner });
+  res.status(201).json({ ...KeyStore.sanitize(record), key });
+});
+
+app.get('/admin/keys/:id', authenticateAdmin, (req, res) => {
+  res.json(KeyStore.sanitize(findKeyOr404(req.params.id)));
+});
+
+app.patch('/admin/keys/:id', authenticateAdmin, (req, res) => {
+  findKeyOr404(req.params.id);
+  const record = KeyStore.update(req.params.id, parseKeyFields(req.body || {}, { partial: true }));
+  res.json(KeyStore.sanitize(record));
+});
+
+app.post('/admin/keys/:id/rotate', authenticateAdmin, (req, res) => {
+  findKeyOr404(req.params.id);
+  const { key, record } = KeyStore.rotate(req.params.id);
+  Logger.info('轮换 API Key', { id: record.id, owner: record.owner });
+  res.json({ ...KeyStore.sanitize(record), key });
+});
+
+app.delete('/admin/keys/:id', authenticateAdmin, (req, res) => {
+  findKeyOr404(req.params.id);
+  const record = KeyStore.revoke(req.params.id);
+  Logger.info('吊销 API Key', { id: record.id, owner: record.owner });
+  res.json(KeyStore.sanitize(record));
+});
+
+// 全量额度报表，可按 key 过滤
+app.get('/admin/usage', authenticateAdmin, (req, res) => {
+  const { since, until, key } = req.query;
+  res.json(UsageLedger.report({ since, until, key }));
+});
+
+// 路由规则：查看当前生效的配置，修改 routing.json 后重新加载
+app.get('/admin/routing', authenticateAdmin, (req, res) => {
+  res.json({ file: Router.filePath, ...Router.config });
+});
+
+app.post('/admin/routing/reload', authenticateAdmin, (req, res) => {
+  Router.load();
+  res.json({ file: Router.filePath, ...Router.config });
+});
+
+// 模型熔断状态
+app.get('/admin/models/health', authenticateAdmin, (req, res) => {
+  res.json({ object: 'list', data: ModelHealth.snapshot() });
+});
+
+// 日志查询：requestId 精确匹配，level 为最低级别，since / until 为 ISO 时间，从新到旧返回
+app.get('/admin/logs', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { requestId, level, since, until } = req.query;
+  if (level && !(level in Logger.levels)) {
+    throw new ApiError(400, `level 必须是 ${Object.keys(Logger.levels).join(' / ')} 之一`, { param: 'level', code: 'invalid_value' });
+  }
+  for (const [param, value] of [['since', since], ['until', until]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      throw new ApiError(400, `${param} 不是有效的时间`, { param, code: 'invalid_value' });
+    }
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const result = await Logger.query({ requestId, level, since, until, limit });
+  res.json({ object: 'list', ...result });
 }));
 
 // 健康检查
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', memory: process.memoryUsage(), connections: server.getConnections ? "available" : "unknown" });
+/**
+ * Prometheus 采集接口；配置 METRICS_TOKEN 后需携带 Authorization: Bearer <METRICS_TOKEN>
+ */
+app.get('/metrics', (req, res, next) => {
+  const secret = process.env.METRICS_TOKEN;
+  if (secret) {
+    const provided = req.headers['authorization']?.split(' ')[1] || '';
+    const a = crypto.createHash('sha256').update(provided).digest();
+    const b = crypto.createHash('sha256').update(secret).digest();
+    if (!crypto.timingSafeEqual(a, b)) return next(new ApiError(401, 'Invalid metrics token', { code: 'invalid_metrics_token' }));
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(Metrics.render());
 });
 
+/**
+ * 上游连通性探测：能收到任意 HTTP 响应即视为可达
+ */
+const checkUpstream = async () => {
+  const start = Date.now();
+  try {
+    const response = await fetchClient(MOSS_BASE_URL, { method: 'GET' }, 5000);
+    return { reachable: true, status: response.status, latency_ms: Date.now() - start };
+  } catch (err) {
+    return { reachable: false, error: err.name === 'AbortError' ? '连接超时' : err.message, latency_ms: Date.now() - start };
+  }
+};
+
+/**
+ * 账号检查：冷却中的账号直接报告，其余确保持有有效 Token（过期则重新登录）
+ */
+const checkAccount = async (account) => {
+  const report = { account: maskKey(account.email), status: 'ok', inflight: account.inflight };
+  if (!AccountPool.isAvailable(account)) {
+    return { ...report, status: 'cooldown', cooldown_until: new Date(account.cooldownUntil).toISOString(), last_error: account.lastError };
+  }
+  try {
+    await AccountPool.getToken(account);
+    return { ...report, token_expires_at: account.tokenExpiresAt ? new Date(account.tokenExpiresAt).toISOString() : null };
+  } catch (err) {
+    return { ...report, status: 'error', error: err.message };
+  }
+};
+
+/**
+ * 健康检查；deep=1 时检查每个账号的 Token、上游连通性和模型熔断状态
+ * 上游不可达或配置了账号却没有一个可用时返回 503（down），部分账号/模型异常时为 degraded
+ */
+app.get('/health', asyncHandler(async (req, res) => {
+  const connections = await new Promise(resolve => server.getConnections((err, count) => resolve(err ? null : count)));
+  const report = { status: 'ok', uptime: Math.round(process.uptime()), memory: process.memoryUsage(), connections };
+  if (!['1', 'true'].includes(req.query.deep)) return res.json(report);
+
+  const [upstream, accounts] = await Promise.all([checkUpstream(), Promise.all(AccountPool.accounts.map(checkAccount))]);
+  const models = ModelHealth.snapshot();
+  const usable = accounts.filter(a => a.status === 'ok').length;
+  if (!upstream.reachable || (accounts.length && !usable)) report.status = 'down';
+  else if (usable < accounts.length || models.length) report.status = 'degraded';
+
+  res.status(report.status === 'down' ? 503 : 200).json({ ...report, upstream, accounts, models });
+}));
+
 // 全局错误处理
 app.use((err, req, res, next) => {
   const requestId = req.requestId || 'unknown';
@@ -569,9 +5208,22 @@ app.use((err, req, res, next) => {
     Logger.warn(`Request Aborted`, { requestId });
     return; // 忽略中断错误
   }
+  if (err.type === 'entity.parse.failed') {
+    err = new ApiError(400, 'Invalid JSON body', { code: 'invalid_json' });
+  }
+  if (err instanceof ApiError) {
+    AccountPool.reportError(req.upstreamAccount, err);
+    if (err.status >= 500) Logger.error(`API Error`, err);
+    if (!res.headersSent) {
+      if (err.headers) res.set(err.headers);
+      res.status(err.status).json(req.apiFormat === 'anthropic' ? err.toAnthropic() : err);
+    }
+    return;
+  }
   Logger.error(`API Error`, err);
   if (!res.headersSent) {
-    res.status(500).json({ error: { message: err.message || 'Internal Error', type: 'server_error' } });
+    const apiError = new ApiError(500, err.message || 'Internal Error', { type: 'server_error' });
+    res.status(500).json(req.apiFormat === 'anthropic' ? apiError.toAnthropic() : apiError);
   }
 });
 
@@ -581,6 +5233,8 @@ app.use((err, req, res, next) => {
 
 const server = app.listen(PORT, () => {
   Logger.info(`🚀 Optimized Server running on port ${PORT}`);
+  // PM2 wait_ready：新 worker 开始监听后才停掉下一个旧 worker，滚动重启期间不中断服务
+  if (process.send) process.send('ready');
 });
 
 // 设置服务器超时，防止死连接
@@ -596,6 +5250,7 @@ const gracefulShutdown = (signal) => {
     Logger.info('HTTP server closed.');
     // 销毁所有 Agent 连接
     httpsAgent.destroy();
+    StateStore.client?.close();
     process.exit(0);
   });
 
@@ -619,3 +5274,7 @@ process.on('unhandledRejection', (reason) => {
 });
 
 module.exports = app;
+// 状态存储各适配器和额度账本，供 test/ 中的测试直接调用
+module.exports.internals = {
+  server, StateStore, MemoryStore, FileStore, RedisClient, RedisStore, KeyedMutex, DistributedMutex, SharedCounters, UsageLedger
+};
@@ -0,0 +1,689 @@
+/**
+ * 离线集成测试：server.js 指向 mock-upstream.js，覆盖聊天、Anthropic / Responses 协议、会话管理、Key 管理与限流、备用模型、额度、重新登录、工具调用、思维链和 JSON 输出
+ * 运行：npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Stack, ADMIN_SECRET, parseEventStream, stopProcess } = require('./support/stack');
+
+const HELLO = '你好！很高兴为你服务，有什么问题或者需求可以告诉我，我会尽力帮你解决。';
+
+const chat = (stack, key, content, extra = {}, headers = {}) => stack.request('/v1/chat/completions', {
+  key,
+  headers,
+  body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content }], ...extra }
+});
+
+describe('聊天补全', () => {
+  let stack;
+  let key;
+
+  before(async () => {
+    stack = await Stack.start();
+    key = await stack.createKey();
+  });
+  after(() => stack?.stop());
+
+  it('非流式请求聚合上游 NDJSON 为一条回复', async () => {
+    const { status, json, headers } = await chat(stack, key, 'hello');
+    assert.equal(status, 200);
+    assert.equal(json.object, 'chat.completion');
+    assert.equal(json.choices[0].message.content, HELLO);
+    assert.equal(json.choices[0].finish_reason, 'stop');
+    assert.ok(json.usage.total_tokens > 0);
+    assert.ok(headers.get('x-moss-conversation-id'));
+  });
+
+  it('被拆在两个数据块之间的中文字符完整还原', async () => {
+    const { status, json } = await chat(stack, key, '[mock:split-utf8] hi');
+    assert.equal(status, 200);
+    assert.equal(json.choices[0].message.content, '你好，世界！这是一段被拆开传输的中文。');
+  });
+
+  it('流式请求按 SSE 输出增量并以 [DONE] 结束', async () => {
+    const { status, text, headers } = await chat(stack, key, 'hello', { stream: true });
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/event-stream/);
+    const events = parseEventStream(text);
+    assert.equal(events.at(-1), '[DONE]');
+    const chunks = events.filter(event => event !== '[DONE]');
+    assert.equal(chunks.map(chunk => chunk.choices[0]?.delta?.content || '').join(''), HELLO);
+    assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+  });
+
+  it('同一线程的后续轮次沿用上游会话', async () => {
+    const headers = { 'X-Conversation-Id': 'multi-turn' };
+    const first = await chat(stack, key, '第一轮', {}, headers);
+    const messages = [
+      { role: 'user', content: '第一轮' },
+      first.json.choices[0].message,
+      { role: 'user', content: '第二轮' }
+    ];
+    const second = await stack.request('/v1/chat/completions', { key, headers, body: { model: 'gpt-4o-mini', messages } });
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('x-moss-conversation-id'), first.headers.get('x-moss-conversation-id'));
+  });
+
+  it('指标的 model 标签不记录客户端随意传入的模型名', async () => {
+    await stack.request('/v1/chat/completions', { key: 'sk-invalid', body: { model: 'junk-anonymous', messages: [] } });
+    await chat(stack, key, 'hello', { model: 'junk-authenticated' });
+    const { text } = await stack.request('/metrics', { method: 'GET' });
+    assert.doesNotMatch(text, /junk-/);
+    assert.match(text, /moss_http_requests_total\{[^}]*model="unknown"[^}]*status="404"/);
+  });
+
+  it('缺少 model 时返回 400', async () => {
+    const { status, json } = await stack.request('/v1/chat/completions', {
+      key,
+      body: { messages: [{ role: 'user', content: 'hi' }] }
+    });
+    assert.equal(status, 400);
+    assert.equal(json.error.code, 'missing_required_parameter');
+  });
+
+  it('工具调用转换为 tool_calls', async () => {
+    const tools = [{
+      type: 'function',
+      function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+    }];
+    const { status, json } = await chat(stack, key, '[mock:tool] 北京天气', { tools });
+    assert.equal(status, 200);
+    const { message, finish_reason: finishReason } = json.choices[0];
+    assert.equal(finishReason, 'tool_calls');
+    assert.equal(message.tool_calls[0].function.name, 'get_weather');
+    assert.deepEqual(JSON.parse(message.tool_calls[0].function.arguments), { city: '北京' });
+  });
+
+  it('推理模型的思维链以 reasoning_content 输出', async () => {
+    const { status, json } = await chat(stack, key, '[mock:reasoning] 6 乘 7', { model: 'Pro/deepseek-ai/DeepSeek-R1-thinking' });
+    assert.equal(status, 200);
+    assert.equal(json.choices[0].message.content, '答案是 42。');
+    assert.equal(json.choices[0].message.reasoning_content, '先算 6×7，结果是 42。');
+  });
+
+  it('拒绝代为下载本机和内网地址的图片', async () => {
+    const internal = [
+      `http://127.0.0.1:${stack.mockPort}/secret.png`,
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::ffff:127.0.0.1]/secret.png',
+      `http://localhost:${stack.mockPort}/secret.png`
+    ];
+    for (const url of internal) {
+      const { status, json } = await chat(stack, key, [
+        { type: 'text', text: '描述这张图片' },
+        { type: 'image_url', image_url: { url } }
+      ]);
+      assert.equal(status, 400, url);
+      assert.equal(json.error.code, 'invalid_image_url');
+      assert.equal(json.error.message, 'Image URL must point to a public address');
+    }
+    assert.equal(stack.upstreamRequests('secret.png').length, 0);
+  });
+
+  it('response_format 为 json_object 时去掉代码块只返回 JSON', async () => {
+    const { status, json } = await chat(stack, key, '[mock:json] 北京天气', { response_format: { type: 'json_object' } });
+    assert.equal(status, 200);
+    assert.deepEqual(JSON.parse(json.choices[0].message.content), { city: '北京', temp: 21 });
+  });
+
+  it('回复不是 JSON 时请求模型纠正', async () => {
+    const before = stack.upstreamRequests('/v3/moss/completions').length;
+    const { status, json } = await chat(stack, key, '[mock:bad-json] 北京天气', { response_format: { type: 'json_object' } });
+    assert.equal(status, 200);
+    assert.deepEqual(JSON.parse(json.choices[0].message.content), { city: '北京', temp: 21 });
+    assert.equal(stack.upstreamRequests('/v3/moss/completions').length - before, 2);
+  });
+
+  it('命中 stop 时截断在停止序列之前', async () => {
+    const { status, json } = await chat(stack, key, 'hello', { stop: ['服务'] });
+    assert.equal(status, 200);
+    assert.equal(json.choices[0].message.content, '你好！很高兴为你');
+    assert.equal(json.choices[0].finish_reason, 'stop');
+
+    const streamed = await chat(stack, key, 'hello', { stream: true, stop: '服务' });
+    const chunks = parseEventStream(streamed.text).filter(event => event !== '[DONE]');
+    assert.equal(chunks.map(chunk => chunk.choices[0]?.delta?.content || '').join(''), '你好！很高兴为你');
+    assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+  });
+
+  it('达到 max_tokens 时 finish_reason 为 length', async () => {
+    const { status, json } = await chat(stack, key, 'hello', { max_tokens: 5 });
+    assert.equal(status, 200);
+    assert.equal(json.choices[0].message.content, '你好！很高');
+    assert.equal(json.choices[0].finish_reason, 'length');
+
+    const streamed = await chat(stack, key, 'hello', { stream: true, max_tokens: 5 });
+    const chunks = parseEventStream(streamed.text).filter(event => event !== '[DONE]');
+    assert.equal(chunks.map(chunk => chunk.choices[0]?.delta?.content || '').join(''), '你好！很高');
+    assert.equal(chunks.at(-1).choices[0].finish_reason, 'length');
+  });
+
+  it('n 大于 1 时返回多个候选并合计 usage', async () => {
+    const single = await chat(stack, key, 'hello');
+    const { status, json } = await chat(stack, key, 'hello', { n: 2 });
+    assert.equal(status, 200);
+    assert.deepEqual(json.choices.map(choice => choice.index), [0, 1]);
+    json.choices.forEach(choice => {
+      assert.equal(choice.message.content, HELLO);
+      assert.equal(choice.finish_reason, 'stop');
+    });
+    assert.equal(json.usage.completion_tokens, single.json.usage.completion_tokens * 2);
+
+    const streamed = await chat(stack, key, 'hello', { stream: true, n: 2 });
+    const chunks = parseEventStream(streamed.text).filter(event => event !== '[DONE]');
+    for (const index of [0, 1]) {
+      const choices = chunks.flatMap(chunk => chunk.choices).filter(choice => choice.index === index);
+      assert.equal(choices.map(choice => choice.delta.content || '').join(''), HELLO);
+      assert.equal(choices[0].delta.role, 'assistant');
+      assert.equal(choices.at(-1).finish_reason, 'stop');
+    }
+  });
+
+  it('stream_options.include_usage 在 [DONE] 之前追加 usage 块', async () => {
+    const { text } = await chat(stack, key, 'hello', { stream: true, stream_options: { include_usage: true } });
+    const events = parseEventStream(text);
+    assert.equal(events.at(-1), '[DONE]');
+    const usageChunk = events.at(-2);
+    assert.deepEqual(usageChunk.choices, []);
+    assert.ok(usageChunk.usage.total_tokens > 0);
+    assert.equal(usageChunk.usage.total_tokens, usageChunk.usage.prompt_tokens + usageChunk.usage.completion_tokens);
+
+    const plain = await chat(stack, key, 'hello', { stream: true });
+    assert.ok(parseEventStream(plain.text).every(event => event === '[DONE]' || !event.usage));
+  });
+});
+
+describe('Anthropic Messages', () => {
+  let stack;
+  let key;
+
+  before(async () => {
+    stack = await Stack.start();
+    key = await stack.createKey();
+  });
+  after(() => stack?.stop());
+
+  const messages = (content, extra = {}) => stack.request('/v1/messages', {
+    key,
+    body: { model: 'gpt-4o-mini', max_tokens: 1024, messages: [{ role: 'user', content }], ...extra }
+  });
+  const eventNames = (text) => text.split('\n').filter(line => line.startsWith('event: ')).map(line => line.slice(7));
+
+  it('非流式请求返回 message 对象', async () => {
+    const { status, json } = await messages('hello', { system: '你是助手' });
+    assert.equal(status, 200);
+    assert.equal(json.type, 'message');
+    assert.equal(json.role, 'assistant');
+    assert.deepEqual(json.content, [{ type: 'text', text: HELLO }]);
+    assert.equal(json.stop_reason, 'end_turn');
+    assert.equal(json.stop_sequence, null);
+    assert.ok(json.usage.output_tokens > 0);
+  });
+
+  it('流式事件依次为 message_start、content_block_*、message_delta、message_stop', async () => {
+    const { status, text, headers } = await messages('hello', { stream: true });
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/event-stream/);
+    const names = eventNames(text).filter(name => name !== 'ping');
+    assert.deepEqual(
+      [names[0], names[1], ...names.slice(-3)],
+      ['message_start', 'content_block_start', 'content_block_stop', 'message_delta', 'message_stop']
+    );
+    assert.ok(names.slice(2, -3).length > 0);
+    assert.ok(names.slice(2, -3).every(name => name === 'content_block_delta'));
+
+    const events = parseEventStream(text);
+    assert.equal(events[0].message.stop_reason, null);
+    const deltas = events.filter(event => event.type === 'content_block_delta');
+    assert.equal(deltas.map(event => event.delta.text).join(''), HELLO);
+    assert.equal(events.find(event => event.type === 'message_delta').delta.stop_reason, 'end_turn');
+  });
+
+  it('max_tokens 截断时 stop_reason 为 max_tokens', async () => {
+    const { status, json } = await messages('hello', { max_tokens: 5 });
+    assert.equal(status, 200);
+    assert.equal(json.content[0].text, '你好！很高');
+    assert.equal(json.stop_reason, 'max_tokens');
+  });
+
+  it('命中 stop_sequences 时返回 stop_sequence', async () => {
+    const { status, text } = await messages('hello', { stream: true, stop_sequences: ['服务'] });
+    assert.equal(status, 200);
+    const events = parseEventStream(text);
+    assert.equal(events.filter(event => event.type === 'content_block_delta').map(event => event.delta.text).join(''), '你好！很高兴为你');
+    const { delta } = events.find(event => event.type === 'message_delta');
+    assert.deepEqual(delta, { stop_reason: 'stop_sequence', stop_sequence: '服务' });
+  });
+
+  it('缺少 max_tokens 时返回 Anthropic 格式的 400', async () => {
+    const { status, json } = await stack.request('/v1/messages', {
+      key,
+      body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] }
+    });
+    assert.equal(status, 400);
+    assert.equal(json.type, 'error');
+    assert.equal(json.error.type, 'invalid_request_error');
+  });
+});
+
+describe('Responses', () => {
+  let stack;
+  let key;
+
+  before(async () => {
+    stack = await Stack.start();
+    key = await stack.createKey();
+  });
+  after(() => stack?.stop());
+
+  const respond = (body) => stack.request('/v1/responses', { key, body: { model: 'gpt-4o-mini', ...body } });
+
+  it('非流式请求返回 response 对象并可按 ID 查询', async () => {
+    const { status, json } = await respond({ input: 'hello', instructions: '你是助手' });
+    assert.equal(status, 200);
+    assert.equal(json.object, 'response');
+    assert.equal(json.status, 'completed');
+    assert.equal(json.store, true);
+    assert.equal(json.output[0].content[0].text, HELLO);
+
+    const stored = await stack.request(`/v1/responses/${json.id}`, { method: 'GET', key });
+    assert.equal(stored.status, 200);
+    assert.deepEqual(stored.json, json);
+  });
+
+  it('流式事件按顺序输出且 sequence_number 递增', async () => {
+    const { status, text } = await respond({ input: 'hello', stream: true });
+    assert.equal(status, 200);
+    const events = parseEventStream(text);
+    const types = events.map(event => event.type);
+    assert.deepEqual(types.slice(0, 4), [
+      'response.created', 'response.in_progress', 'response.output_item.added', 'response.content_part.added'
+    ]);
+    assert.deepEqual(types.slice(-4), [
+      'response.output_text.done', 'response.content_part.done', 'response.output_item.done', 'response.completed'
+    ]);
+    assert.ok(types.slice(4, -4).length > 0);
+    assert.ok(types.slice(4, -4).every(type => type === 'response.output_text.delta'));
+    assert.deepEqual(events.map(event => event.sequence_number), events.map((_, i) => i));
+
+    const deltas = events.filter(event => event.type === 'response.output_text.delta').map(event => event.delta).join('');
+    assert.equal(deltas, HELLO);
+    const completed = events.at(-1).response;
+    assert.equal(completed.status, 'completed');
+    assert.equal(completed.output[0].content[0].text, HELLO);
+
+    const stored = await stack.request(`/v1/responses/${completed.id}`, { method: 'GET', key });
+    assert.equal(stored.status, 200);
+  });
+
+  it('store 为 false 时不保存，无法查询或续接', async () => {
+    const { status, json } = await respond({ input: 'hello', store: false });
+    assert.equal(status, 200);
+    assert.equal(json.store, false);
+
+    const stored = await stack.request(`/v1/responses/${json.id}`, { method: 'GET', key });
+    assert.equal(stored.status, 404);
+    assert.equal(stored.json.error.code, 'response_not_found');
+
+    const next = await respond({ input: '继续', previous_response_id: json.id });
+    assert.equal(next.status, 404);
+    assert.equal(next.json.error.code, 'previous_response_not_found');
+  });
+
+  it('max_output_tokens 截断时状态为 incomplete', async () => {
+    const { status, text } = await respond({ input: 'hello', stream: true, max_output_tokens: 5 });
+    assert.equal(status, 200);
+    const { type, response } = parseEventStream(text).at(-1);
+    assert.equal(type, 'response.incomplete');
+    assert.deepEqual(response.incomplete_details, { reason: 'max_output_tokens' });
+    assert.equal(response.output[0].content[0].text, '你好！很高');
+  });
+});
+
+describe('会话列表', () => {
+  let stack;
+  let key;
+
+  before(async () => {
+    stack = await Stack.start();
+    key = await stack.createKey();
+  });
+  after(() => stack?.stop());
+
+  const listConversations = async () => (await stack.request('/v1/conversations', { method: 'GET', key })).json.data;
+
+  it('显式线程出现在会话列表中', async () => {
+    await chat(stack, key, 'hello', {}, { 'X-Conversation-Id': 'listed' });
+    assert.deepEqual((await listConversations()).map(conversation => conversation.id), ['listed']);
+  });
+
+  it('图像生成使用临时会话，不出现在会话列表中', async () => {
+    const { status, json } = await stack.request('/v1/images/generations', { key, body: { prompt: '[mock:image] 一只猫', n: 2 } });
+    assert.equal(status, 200);
+    assert.equal(json.data.length, 2);
+    assert.equal(json.data[0].url, 'https://images.example.com/mock/cat.png');
+    assert.equal(json.data[0].revised_prompt, undefined);
+    assert.deepEqual((await listConversations()).map(conversation => conversation.id), ['listed']);
+  });
+
+  it('b64_json 不下载模型回复中的内网地址', async () => {
+    const { status, json } = await stack.request('/v1/images/generations', {
+      key,
+      body: { prompt: '[mock:image-internal] 一只猫', response_format: 'b64_json' }
+    });
+    assert.equal(status, 502);
+    assert.equal(json.error.code, 'image_download_failed');
+    assert.match(json.error.message, /public address/);
+  });
+
+  it('Responses 链沿用同一上游会话，不出现在会话列表中', async () => {
+    const first = await stack.request('/v1/responses', { key, body: { model: 'gpt-4o-mini', input: 'hello' } });
+    assert.equal(first.status, 200);
+    const before = stack.upstreamRequests('conversation.json').length;
+    const next = await stack.request('/v1/responses', {
+      key,
+      body: { model: 'gpt-4o-mini', input: '继续', previous_response_id: first.json.id }
+    });
+    assert.equal(next.status, 200);
+    assert.equal(stack.upstreamRequests('conversation.json').length, before);
+    assert.deepEqual((await listConversations()).map(conversation => conversation.id), ['listed']);
+  });
+
+  it('首轮失败的隐式会话不留下绑定记录', async () => {
+    const failed = await chat(stack, key, '[mock:http500] 你好', {}, { 'X-Moss-Fallback': 'off' });
+    assert.equal(failed.status, 503);
+    assert.deepEqual((await listConversations()).map(conversation => conversation.id), ['listed']);
+
+    const { status, json } = await chat(stack, key, 'hello');
+    assert.equal(status, 200);
+    const conversations = await listConversations();
+    assert.equal(conversations.length, 2);
+    assert.equal(conversations.find(conversation => conversation.id !== 'listed').title, 'hello');
+  });
+
+  it('按 ID 查询、重命名和删除会话', async () => {
+    const created = await stack.request('/v1/conversations', { key, body: { id: 'managed', title: '初始标题' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.json.title, '初始标题');
+    const upstreamId = created.json.upstream_conversation_id;
+
+    const reply = await chat(stack, key, 'hello', {}, { 'X-Conversation-Id': 'managed' });
+    assert.equal(reply.headers.get('x-moss-conversation-id'), upstreamId);
+
+    const found = await stack.request('/v1/conversations/managed', { method: 'GET', key });
+    assert.equal(found.status, 200);
+    assert.equal(found.json.id, 'managed');
+    assert.equal(found.json.object, 'conversation');
+    assert.equal(found.json.upstream_conversation_id, upstreamId);
+    assert.equal(found.json.synced_messages, 2);
+
+    const renamed = await stack.request('/v1/conversations/managed', { key, body: { title: '新标题' } });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.json.title, '新标题');
+    assert.equal((await listConversations()).find(conversation => conversation.id === 'managed').title, '新标题');
+
+    const invalid = await stack.request('/v1/conversations/managed', { key, body: { title: 42 } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.json.error.param, 'title');
+
+    const deleted = await stack.request('/v1/conversations/managed', { method: 'DELETE', key });
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(deleted.json, { id: 'managed', object: 'conversation.deleted', deleted: true });
+    assert.equal((await stack.request('/v1/conversations/managed', { method: 'GET', key })).status, 404);
+    const again = await stack.request('/v1/conversations/managed', { method: 'DELETE', key });
+    assert.equal(again.status, 404);
+    assert.equal(again.json.error.code, 'conversation_not_found');
+
+    // 删除绑定后同一 ID 的请求新建上游会话
+    const next = await chat(stack, key, 'hello', {}, { 'X-Conversation-Id': 'managed' });
+    assert.notEqual(next.headers.get('x-moss-conversation-id'), upstreamId);
+  });
+
+  it('其他 Key 无法访问当前 Key 的会话', async () => {
+    const other = await stack.createKey();
+    const { status } = await stack.request('/v1/conversations/listed', { method: 'GET', key: other });
+    assert.equal(status, 404);
+    assert.equal((await stack.request('/v1/conversations/listed', { method: 'DELETE', key: other })).status, 404);
+    assert.equal((await stack.request('/v1/conversations/listed', { method: 'GET', key })).status, 200);
+  });
+});
+
+describe('API Key', () => {
+  let stack;
+
+  before(async () => {
+    stack = await Stack.start();
+  });
+  after(() => stack?.stop());
+
+  const admin = (path, options = {}) => stack.request(path, {
+    method: 'POST',
+    ...options,
+    headers: { Authorization: `Bearer ${ADMIN_SECRET}` }
+  });
+
+  it('管理接口创建、查询、禁用、轮换和吊销 Key', async () => {
+    assert.equal((await stack.request('/admin/keys', { method: 'GET', key: 'wrong-secret' })).status, 401);
+
+    const created = await admin('/admin/keys', { body: { owner: 'lifecycle' } });
+    assert.equal(created.status, 201);
+    const { id, key } = created.json;
+    assert.match(id, /^key_/);
+    assert.ok(key);
+    assert.equal(created.json.hash, undefined);
+    assert.equal(created.json.enabled, true);
+
+    const listed = await admin('/admin/keys', { method: 'GET' });
+    const entry = listed.json.data.find(item => item.id === id);
+    assert.equal(entry.owner, 'lifecycle');
+    assert.equal(entry.hash, undefined);
+    assert.equal((await admin(`/admin/keys/${id}`, { method: 'GET' })).json.preview, created.json.preview);
+    assert.equal((await chat(stack, key, 'hello')).status, 200);
+
+    const disabled = await admin(`/admin/keys/${id}`, { method: 'PATCH', body: { enabled: false } });
+    assert.equal(disabled.json.enabled, false);
+    const rejected = await chat(stack, key, 'hello');
+    assert.equal(rejected.status, 401);
+    assert.equal(rejected.json.error.code, 'invalid_api_key');
+    await admin(`/admin/keys/${id}`, { method: 'PATCH', body: { enabled: true } });
+    assert.equal((await chat(stack, key, 'hello')).status, 200);
+
+    const rotated = await admin(`/admin/keys/${id}/rotate`);
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.json.key, key);
+    assert.ok(rotated.json.rotatedAt);
+    assert.equal((await chat(stack, key, 'hello')).status, 401);
+    assert.equal((await chat(stack, rotated.json.key, 'hello')).status, 200);
+
+    const revoked = await admin(`/admin/keys/${id}`, { method: 'DELETE' });
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.json.enabled, false);
+    assert.ok(revoked.json.revokedAt);
+    assert.equal((await chat(stack, rotated.json.key, 'hello')).status, 401);
+
+    const missing = await admin('/admin/keys/key_missing', { method: 'GET' });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.json.error.code, 'key_not_found');
+  });
+
+  it('模型白名单拒绝未允许的模型', async () => {
+    const key = await stack.createKey({ models: ['deepseek-chat'] });
+    const { status, json } = await chat(stack, key, 'hello');
+    assert.equal(status, 403);
+    assert.equal(json.error.code, 'model_not_allowed');
+    assert.equal(json.error.param, 'model');
+    assert.equal((await chat(stack, key, 'hello', { model: 'deepseek-chat' })).status, 200);
+  });
+
+  it('超过每分钟请求数时返回 429 并附带限流响应头', async () => {
+    const key = await stack.createKey({ limits: { rpm: 2 } });
+    for (const remaining of ['1', '0']) {
+      const { status, headers } = await chat(stack, key, 'hello');
+      assert.equal(status, 200);
+      assert.equal(headers.get('x-ratelimit-limit-requests'), '2');
+      assert.equal(headers.get('x-ratelimit-remaining-requests'), remaining);
+      assert.match(headers.get('x-ratelimit-reset-requests'), /^\d+s$/);
+    }
+
+    const { status, json, headers } = await chat(stack, key, 'hello');
+    assert.equal(status, 429);
+    assert.equal(json.error.code, 'rate_limit_exceeded');
+    assert.equal(headers.get('x-ratelimit-remaining-requests'), '0');
+    const retryAfter = Number(headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After: ${retryAfter}`);
+
+    // 限流按 Key 计数，其他 Key 不受影响
+    const other = await chat(stack, await stack.createKey(), 'hello');
+    assert.equal(other.status, 200);
+    assert.equal(other.headers.get('x-ratelimit-limit-requests'), null);
+  });
+});
+
+describe('备用模型', () => {
+  let stack;
+  let key;
+
+  before(async () => {
+    stack = await Stack.start();
+    key = await stack.createKey();
+  });
+  after(() => stack?.stop());
+
+  it('模型下线时切换到备用模型并熔断', async () => {
+    const { status, json, headers } = await chat(stack, key, '[mock:offline] hi');
+    assert.equal(status, 200);
+    assert.equal(headers.get('x-moss-served-model'), 'deepseek-chat');
+    assert.equal(json.choices[0].message.content, HELLO);
+
+    // 熔断期间直接使用备用模型，不再请求下线的模型
+    const before = stack.upstreamRequests('completions-offline.json').length;
+    const next = await chat(stack, key, 'hello');
+    assert.equal(next.headers.get('x-moss-served-model'), 'deepseek-chat');
+    assert.equal(stack.upstreamRequests('completions-offline.json').length, before);
+  });
+
+  it('备用模型不支持图片或工具时不切换', async () => {
+    const served = () => stack.upstreamRequests('completions-offline-fallback.json').length;
+    const before = served();
+    const pixel = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+    const image = await chat(stack, key, [
+      { type: 'text', text: '[mock:offline] 描述这张图片' },
+      { type: 'image_url', image_url: { url: pixel } }
+    ], { model: 'gpt-4o-2024-05-13' });
+    assert.equal(image.status, 503);
+    assert.equal(image.json.error.code, 'model_unavailable');
+
+    const tools = [{ type: 'function', function: { name: 'get_weather' } }];
+    const tool = await chat(stack, key, '[mock:offline] 北京天气', { model: '4.0', tools });
+    assert.equal(tool.status, 503);
+    assert.equal(tool.json.error.code, 'model_unavailable');
+    assert.equal(served(), before);
+  });
+});
+
+describe('上游账号', () => {
+  let stack;
+  let key;
+
+  before(async () => {
+    stack = await Stack.start({ accounts: 'a@test.local:test;b@test.local:test' });
+    key = await stack.createKey();
+  });
+  after(() => stack?.stop());
+
+  it('次数不足返回 429 insufficient_quota，账号进入冷却后换用其他账号', async () => {
+    const { status, json } = await chat(stack, key, '[mock:quota] hi');
+    assert.equal(status, 429);
+    assert.equal(json.error.code, 'insufficient_quota');
+
+    const next = await chat(stack, key, 'hello');
+    assert.equal(next.status, 200);
+    const health = await stack.request('/health?deep=1', { method: 'GET' });
+    assert.deepEqual(health.json.accounts.map(account => account.status).sort(), ['cooldown', 'ok']);
+  });
+
+  it('/login 只允许绑定了账号的 Key，并且只重新登录该账号', async () => {
+    const before = stack.upstreamRequests('/user/login').length;
+    const pooled = await chat(stack, key, '/login');
+    assert.equal(pooled.status, 200);
+    assert.match(pooled.json.choices[0].message.content, /共享账号池/);
+    assert.equal(stack.upstreamRequests('/user/login').length, before);
+
+    const bound = await stack.createKey({ account: 'b@test.local' });
+    const { json } = await chat(stack, bound, '/login');
+    assert.match(json.choices[0].message.content, /已重新登录上游账号/);
+    assert.equal(stack.upstreamRequests('/user/login').length, before + 1);
+  });
+
+  it('上游拒绝 Token 时重新登录并重放请求', async () => {
+    assert.equal((await chat(stack, key, 'hello')).status, 200);
+    // 重启后模拟上游不再认之前签发的 Token
+    await stack.restartMock();
+
+    const { status, json } = await chat(stack, key, 'hello');
+    assert.equal(status, 200);
+    assert.equal(json.choices[0].message.content, HELLO);
+    assert.ok(stack.upstreamRequests('token-rejected.json').length >= 1);
+    assert.ok(stack.upstreamRequests('/user/login').length >= 1);
+  });
+});
+
+describe('上游不可达', () => {
+  let stack;
+  let key;
+
+  before(async () => {
+    stack = await Stack.start();
+    key = await stack.createKey();
+  });
+  after(() => stack?.stop());
+
+  it('登录时连不上上游直接返回错误，账号不进入冷却', async () => {
+    await stopProcess(stack.mock);
+    const { status } = await chat(stack, key, 'hello');
+    assert.ok(status >= 500, `status ${status}`);
+
+    // 上游恢复后唯一的账号立即可用
+    await stack.startMock();
+    const health = await stack.request('/health?deep=1', { method: 'GET' });
+    assert.deepEqual(health.json.accounts.map(account => account.status), ['ok']);
+    assert.equal((await chat(stack, key, 'hello')).status, 200);
+  });
+});
+
+describe('账号登录失败', () => {
+  const accountStatus = async (stack) => (await stack.request('/health?deep=1', { method: 'GET' })).json.accounts[0];
+
+  it('登录接口返回 500 时直接返回错误，账号不进入冷却', async () => {
+    const stack = await Stack.start({ accounts: 'down@test.local:test' });
+    try {
+      const key = await stack.createKey();
+      for (let i = 0; i < 2; i++) {
+        const { status, json } = await chat(stack, key, 'hello');
+        assert.equal(status, 503);
+        assert.equal(json.error.code, 'upstream_unavailable');
+      }
+      const account = await accountStatus(stack);
+      assert.notEqual(account.status, 'cooldown');
+      assert.equal(account.error, '上游登录接口返回 HTTP 500');
+    } finally {
+      await stack.stop();
+    }
+  });
+
+  it('上游拒绝账号密码时账号进入冷却', async () => {
+    const stack = await Stack.start({ accounts: 'wrong@test.local:test' });
+    try {
+      const key = await stack.createKey();
+      const { status, json } = await chat(stack, key, 'hello');
+      assert.equal(status, 503);
+      assert.equal(json.error.code, 'no_available_account');
+      const account = await accountStatus(stack);
+      assert.equal(account.status, 'cooldown');
+      assert.equal(account.last_error, '登录失败: 账号或密码错误');
+    } finally {
+      await stack.stop();
+    }
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * 状态存储适配器测试：memory / file / redis 三种后端的统一接口，以及 Redis 客户端、跨进程锁、共享计数和多 worker 共用的额度账本
+ * 默认连接 test/support/resp-server.js；设置 TEST_REDIS_URL=redis://... 时改为对真实 Redis 运行
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { startRespServer } = require('./support/resp-server');
+const { sleep } = require('./support/stack');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moss-state-test-'));
+const prefix = `moss-test-${crypto.randomBytes(4).toString('hex')}:`;
+const clients = [];
+let redis = null;
+let internals;
+
+/**
+ * 新建一个独立连接的客户端，相当于另一个 worker 进程
+ */
+const newClient = (url = redis.url) => {
+  const client = new internals.RedisClient(url);
+  clients.push(client);
+  return client;
+};
+
+before(async () => {
+  let url = process.env.TEST_REDIS_URL;
+  if (!url) {
+    // 锁脚本在测试服务里按语义实现，真实 Redis 则直接执行 Lua
+    const ownerOnly = (action) => (store, [key], [token, ttlMs]) => (store.get(key) === token ? action(store, key, ttlMs) : 0);
+    redis = await startRespServer({
+      password: 'secret',
+      scripts: {
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) end return 0":
+          ownerOnly((store, key, ttlMs) => store.pexpire(key, ttlMs)),
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0":
+          ownerOnly((store, key) => store.del(key))
+      }
+    });
+    url = redis.url;
+  } else {
+    redis = { url };
+  }
+
+  Object.assign(process.env, {
+    PORT: '0',
+    DATA_DIR: dataDir,
+    STATE_STORE: 'redis',
+    REDIS_URL: url,
+    REDIS_PREFIX: prefix,
+    MOSS_ACCOUNTS: '',
+    ACCOUNTS_FILE: path.join(dataDir, 'accounts.json'),
+    MODEL_LIST_URL: '',
+    LOG_LEVEL: 'error'
+  });
+  ({ internals } = require('../server'));
+});
+
+after(async () => {
+  internals?.server.close();
+  internals?.StateStore.client.close();
+  clients.forEach(client => client.close());
+  await redis?.close?.();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const adapters = {
+  memory: (ttlMs) => new internals.MemoryStore('contract', ttlMs),
+  file: (ttlMs) => new internals.FileStore(`contract-${crypto.randomUUID()}`, ttlMs, path.join(dataDir, 'state')),
+  redis: (ttlMs) => new internals.RedisStore(`contract-${crypto.randomUUID()}`, ttlMs, internals.StateStore.client, prefix)
+};
+
+for (const [name, create] of Object.entries(adapters)) {
+  describe(`${name} 状态存储`, () => {
+    it('读写 JSON 值并删除', async () => {
+      const store = create(60000);
+      const record = { conversationId: '100001', messages: [{ role: 'user', content: '你好' }], syncedCount: 2 };
+      assert.equal(await store.get('k1'), undefined);
+      assert.equal(await store.has('k1'), false);
+      await store.set('k1', record);
+      assert.deepEqual(await store.get('k1'), record);
+      assert.equal(await store.has('k1'), true);
+      await store.delete('k1');
+      assert.equal(await store.get('k1'), undefined);
+    });
+
+    it('按前缀列出条目，前缀中的通配符按字面匹配', async () => {
+      const store = create(60000);
+      await store.set('key_a:id:1', 1);
+      await store.set('key_a:id:2', 2);
+      await store.set('key_b:id:1', 3);
+      await store.set('k*[x]:1', 4);
+      await store.set('kz[x]:1', 5);
+      const listed = await store.list('key_a:');
+      assert.deepEqual(listed.sort((a, b) => a.key.localeCompare(b.key)), [
+        { key: 'key_a:id:1', value: 1 },
+        { key: 'key_a:id:2', value: 2 }
+      ]);
+      assert.deepEqual(await store.list('k*[x]:'), [{ key: 'k*[x]:1', value: 4 }]);
+    });
+
+    it('闲置超过 TTL 后过期，读取会刷新过期时间', async () => {
+      const store = create(300);
+      await store.set('idle', 'v');
+      await sleep(200);
+      assert.equal(await store.get('idle'), 'v');
+      await sleep(200);
+      assert.equal(await store.get('idle'), 'v');
+      await sleep(450);
+      assert.equal(await store.get('idle'), undefined);
+    });
+  });
+}
+
+describe('file 状态存储持久化', () => {
+  it('写盘后新实例可以恢复', async () => {
+    const namespace = `persist-${crypto.randomUUID()}`;
+    const dir = path.join(dataDir, 'state');
+    const store = new internals.FileStore(namespace, 60000, dir);
+    await store.set('thread', { conversationId: '42' });
+    store.flush();
+    const restored = new internals.FileStore(namespace, 60000, dir);
+    assert.deepEqual(await restored.get('thread'), { conversationId: '42' });
+  });
+});
+
+describe('RedisClient', () => {
+  it('错误回复只让对应命令失败，连接继续可用', async () => {
+    const client = newClient();
+    await assert.rejects(client.command('NOSUCHCOMMAND'), /Redis: ERR unknown command/);
+    assert.equal(await client.command('PING'), 'PONG');
+  });
+
+  it('大于一个数据块的值可以完整读回', async () => {
+    const client = newClient();
+    const value = '内容'.repeat(256 * 1024);
+    await client.command('SET', `${prefix}large`, value);
+    assert.equal(await client.command('GET', `${prefix}large`), value);
+    await client.command('DEL', `${prefix}large`);
+  });
+
+  it('连接失败时返回 503 state_store_unavailable', async () => {
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const client = newClient(`redis://127.0.0.1:${port}`);
+    await assert.rejects(client.command('PING'), err => err.status === 503 && err.code === 'state_store_unavailable');
+  });
+
+  it('服务端断开后下一条命令自动重连', { skip: Boolean(process.env.TEST_REDIS_URL) && '需要测试服务' }, async () => {
+    const client = newClient();
+    assert.equal(await client.command('PING'), 'PONG');
+    redis.dropConnections();
+    await sleep(50);
+    assert.equal(await client.command('PING'), 'PONG');
+  });
+
+  it('密码错误时连接失败', { skip: Boolean(process.env.TEST_REDIS_URL) && '需要测试服务' }, async () => {
+    const client = newClient(redis.url.replace('secret', 'wrong'));
+    await assert.rejects(client.command('PING'), err => err.code === 'state_store_unavailable' && /WRONGPASS/.test(err.message));
+  });
+
+  it('无法解析的回复让未完成的命令全部失败并重新连接', async () => {
+    let connections = 0;
+    const broken = net.createServer(socket => {
+      connections += 1;
+      const first = connections === 1;
+      socket.on('data', () => socket.write(first ? '?garbage\r\n' : '+PONG\r\n'));
+      socket.on('error', () => {});
+    });
+    await new Promise(resolve => broken.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const client = newClient(`redis://127.0.0.1:${broken.address().port}`);
+      const results = await Promise.allSettled([client.command('PING'), client.command('PING')]);
+      assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+      assert.equal(results[0].reason.code, 'state_store_unavailable');
+      assert.equal(await client.command('PING'), 'PONG');
+      assert.equal(connections, 2);
+    } finally {
+      broken.close();
+    }
+  });
+});
+
+describe('DistributedMutex', () => {
+  it('两个进程对同一个 key 互斥执行', async () => {
+    const workers = [newClient(), newClient()].map(client => new internals.DistributedMutex(client, `${prefix}lock:test:`));
+    let active = 0;
+    let maxActive = 0;
+    const order = [];
+    await Promise.all([0, 1, 2, 3, 4, 5].map(async (i) => {
+      const release = await workers[i % 2].acquire('conversation');
+      active += 1;
+      maxActive = Math.max(maxActive, active);
+      await sleep(10);
+      order.push(i);
+      active -= 1;
+      release();
+    }));
+    assert.equal(maxActive, 1);
+    assert.equal(order.length, 6);
+  });
+
+  it('持有者崩溃后锁在租期到期时释放', async () => {
+    const client = newClient();
+    await client.command('SET', `${prefix}lock:test:crashed`, 'dead-worker', 'PX', 150);
+    const mutex = new internals.DistributedMutex(client, `${prefix}lock:test:`);
+    const started = Date.now();
+    const release = await mutex.acquire('crashed');
+    assert.ok(Date.now() - started >= 100);
+    release();
+  });
+
+  it('持有期间续租，释放时只删除自己的锁', async () => {
+    const client = newClient();
+    const mutex = new internals.DistributedMutex(client, `${prefix}lock:test:`, 150);
+    const release = await mutex.acquire('renewed');
+    await sleep(300);
+    assert.notEqual(await client.command('GET', `${prefix}lock:test:renewed`), null);
+
+    // 模拟租期已过、锁被其他进程拿走
+    await client.command('SET', `${prefix}lock:test:renewed`, 'other-worker', 'PX', 5000);
+    release();
+    await sleep(50);
+    assert.equal(await client.command('GET', `${prefix}lock:test:renewed`), 'other-worker');
+  });
+});
+
+describe('SharedCounters', () => {
+  it('累加立即反映在本地并写入 Redis', async () => {
+    const { SharedCounters } = internals;
+    const name = `rpm:key:test:${crypto.randomUUID()}`;
+    SharedCounters.add(name, 2, 60000);
+    assert.equal(SharedCounters.get(name), 2);
+    await sleep(50);
+    assert.equal(await newClient().command('GET', `${prefix}counter:${name}`), '2');
+  });
+
+  it('同步后看到其他进程的累加', async () => {
+    const { SharedCounters } = internals;
+    const name = `credits:test|key:${crypto.randomUUID()}`;
+    assert.equal(SharedCounters.get(name), 0);
+    await newClient().command('INCRBY', `${prefix}counter:${name}`, 5);
+    await SharedCounters.sync();
+    assert.equal(SharedCounters.get(name), 5);
+  });
+});
+
+describe('UsageLedger', () => {
+  it('查询时只读入其他 worker 新追加的完整明细', async () => {
+    const { UsageLedger } = internals;
+    const key = `key_${crypto.randomUUID()}`;
+    const usage = { key, model: 'gpt-4o-mini', prompt_tokens: 10, completion_tokens: 20, credits: 1 };
+    UsageLedger.record(usage);
+    await new Promise(resolve => UsageLedger.stream.write('', resolve));
+    assert.equal(UsageLedger.report({ key }).total.requests, 1);
+
+    // 另一个 worker 追加了一条完整明细和半条明细
+    const time = new Date().toISOString();
+    const line = JSON.stringify({ time, ...usage });
+    const filePath = path.join(UsageLedger.dir, `${time.slice(0, 7)}.jsonl`);
+    fs.appendFileSync(filePath, `${line}\n${line.slice(0, 20)}`);
+    assert.deepEqual(UsageLedger.report({ key }).total, { requests: 2, prompt_tokens: 20, completion_tokens: 40, credits: 2 });
+
+    fs.appendFileSync(filePath, `${line.slice(20)}\n`);
+    assert.equal(UsageLedger.report({ key }).total.requests, 3);
+    assert.equal(UsageLedger.report({ key }).total.requests, 3);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * 测试用的 Redis 协议服务：只实现代理用到的命令（字符串、计数、过期、SCAN、锁脚本），数据保存在内存中
+ * 设置 TEST_REDIS_URL 时测试改为连接真实的 Redis / Valkey，不启动本服务
+ */
+
+const net = require('net');
+
+const encode = (value) => {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  if (value.status) return `+${value.status}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+};
+
+const OK = { status: 'OK' };
+
+/**
+ * Redis glob（* ? 和反斜杠转义）转为正则
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (char === '*') source += '.*';
+    else if (char === '?') source += '.';
+    else source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`, 's');
+};
+
+/**
+ * 读取一条 RESP 数组命令，数据不完整时返回 null
+ */
+const readCommand = (buffer) => {
+  let pos = buffer.indexOf('\r\n');
+  if (pos < 0) return null;
+  const count = Number(buffer.toString('utf8', 1, pos));
+  pos += 2;
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    const end = buffer.indexOf('\r\n', pos);
+    if (end < 0) return null;
+    const length = Number(buffer.toString('utf8', pos + 1, end));
+    if (buffer.length < end + 2 + length + 2) return null;
+    args.push(buffer.toString('utf8', end + 2, end + 2 + length));
+    pos = end + 2 + length + 2;
+  }
+  return { args, next: pos };
+};
+
+/**
+ * 启动服务，password 不为空时要求先 AUTH；scripts 为允许 EVAL 的脚本（脚本文本 -> 实现）
+ */
+const startRespServer = ({ password = '', scripts = {} } = {}) => new Promise((resolve, reject) => {
+  const data = new Map(); // key -> { value, expiresAt }
+  const sockets = new Set();
+
+  const live = (key) => {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const store = {
+    get: key => live(key)?.value ?? null,
+    set: (key, value, ttlMs) => data.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : 0 }),
+    pexpire: (key, ttlMs) => {
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + Number(ttlMs);
+      return 1;
+    },
+    del: key => (live(key) && data.delete(key) ? 1 : 0)
+  };
+
+  const run = (session, [name, ...args]) => {
+    const command = name.toUpperCase();
+    if (command === 'AUTH') {
+      if (args[args.length - 1] !== password) return new Error('WRONGPASS invalid username-password pair');
+      session.authed = true;
+      return OK;
+    }
+    if (password && !session.authed) return new Error('NOAUTH Authentication required.');
+
+    switch (command) {
+      case 'PING':
+        return { status: 'PONG' };
+      case 'SELECT':
+        return OK;
+      case 'GET':
+        return store.get(args[0]);
+      case 'SET': {
+        const [key, value, ...options] = args.map(String);
+        const flags = options.map(option => option.toUpperCase());
+        if (flags.includes('NX') && live(key)) return null;
+        const px = flags.indexOf('PX');
+        store.set(key, value, px >= 0 ? Number(options[px + 1]) : 0);
+        return OK;
+      }
+      case 'PEXPIRE':
+        return store.pexpire(args[0], args[1]);
+      case 'PTTL': {
+        const entry = live(args[0]);
+        if (!entry) return -2;
+        return entry.expiresAt ? entry.expiresAt - Date.now() : -1;
+      }
+      case 'EXISTS':
+        return args.filter(key => live(key)).length;
+      case 'DEL':
+        return args.reduce((sum, key) => sum + store.del(key), 0);
+      case 'MGET':
+        return args.map(key => store.get(key));
+      case 'INCRBY': {
+        const entry = live(args[0]);
+        const value = Number(entry?.value ?? 0) + Number(args[1]);
+        if (entry) entry.value = String(value);
+        else store.set(args[0], String(value), 0);
+        return value;
+      }
+      case 'SCAN': {
+        const match = args.findIndex(arg => arg.toUpperCase() === 'MATCH');
+        const pattern = globToRegExp(match >= 0 ? args[match + 1] : '*');
+        return ['0', [...data.keys()].filter(key => live(key) && pattern.test(key))];
+      }
+      case 'EVAL': {
+        const [script, keyCount, ...rest] = args;
+        const impl = scripts[script];
+        if (!impl) return new Error('ERR unsupported script');
+        return impl(store, rest.slice(0, Number(keyCount)), rest.slice(Number(keyCount)));
+      }
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    const session = { authed: false };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (let command = readCommand(buffer); command; command = readCommand(buffer)) {
+        buffer = buffer.subarray(command.next);
+        socket.write(encode(run(session, command.args)));
+      }
+    });
+  });
+
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    const auth = password ? `:${encodeURIComponent(password)}@` : '';
+    resolve({
+      url: `redis://${auth}127.0.0.1:${port}/0`,
+      port,
+      data,
+      /**
+       * 断开全部客户端连接，模拟 Redis 重启或网络中断
+       */
+      dropConnections: () => sockets.forEach(socket => socket.destroy()),
+      close: () => new Promise(done => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(() => done());
+      })
+    });
+  });
+});
+
+module.exports = { startRespServer };
@@ -0,0 +1,177 @@
+/**
+ * 集成测试环境：在随机端口启动 mock-upstream.js 和 server.js，数据目录使用临时目录
+ * 所有配置都显式传入，本地的 .env、accounts.json 不会影响测试
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ADMIN_SECRET = 'test-admin-secret';
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 等待 HTTP 服务可以响应（任意状态码），子进程提前退出时报错并附上输出
+ */
+const waitForHttp = async (url, child, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode != null) throw new Error(`进程已退出（${child.exitCode}）：\n${child.output}`);
+    try {
+      await fetch(url);
+      return;
+    } catch (err) {
+      await sleep(50);
+    }
+  }
+  throw new Error(`等待 ${url} 超时：\n${child.output}`);
+};
+
+const startProcess = (script, env) => {
+  const child = spawn(process.execPath, [path.join(ROOT, script)], {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.output = '';
+  const collect = chunk => { child.output += chunk; };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+  return child;
+};
+
+const stopProcess = (child) => new Promise(resolve => {
+  if (!child || child.exitCode != null || child.signalCode) return resolve();
+  child.once('exit', () => resolve());
+  child.kill('SIGKILL');
+});
+
+class Stack {
+  constructor({ accounts = 'a@test.local:test', env = {} } = {}) {
+    this.accounts = accounts;
+    this.env = env;
+    this.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moss-proxy-test-'));
+    this.mock = null;
+    this.server = null;
+  }
+
+  /**
+   * 启动模拟上游和代理，返回自身便于链式使用
+   */
+  static async start(options) {
+    const stack = new Stack(options);
+    try {
+      stack.mockPort = await freePort();
+      stack.port = await freePort();
+      await stack.startMock();
+      await stack.startServer();
+    } catch (err) {
+      await stack.stop();
+      throw err;
+    }
+    return stack;
+  }
+
+  get baseUrl() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  async startMock() {
+    this.mock = startProcess('mock-upstream.js', { MOCK_PORT: String(this.mockPort), MOCK_EVENT_DELAY_MS: '1' });
+    await waitForHttp(`http://127.0.0.1:${this.mockPort}/`, this.mock);
+  }
+
+  /**
+   * 重启模拟上游：之前签发的 Token 全部失效，用于验证代理的重新登录
+   */
+  async restartMock() {
+    await stopProcess(this.mock);
+    await this.startMock();
+  }
+
+  async startServer() {
+    this.server = startProcess('server.js', {
+      PORT: String(this.port),
+      MOSS_BASE_URL: `http://127.0.0.1:${this.mockPort}/luomacode-api`,
+      MOSS_ACCOUNTS: this.accounts,
+      ACCOUNTS_FILE: path.join(this.dataDir, 'accounts.json'),
+      ADMIN_SECRET,
+      DATA_DIR: this.dataDir,
+      STATE_STORE: 'file',
+      ROUTING_FILE: path.join(ROOT, 'routing.json'),
+      MODEL_LIST_URL: '',
+      UPSTREAM_RECORD_DIR: '',
+      ALLOW_PASSTHROUGH_TOKEN: 'false',
+      UPSTREAM_RETRY_BASE_MS: '10',
+      UPSTREAM_RETRY_MAX_MS: '20',
+      LOG_LEVEL: 'error',
+      ...this.env
+    });
+    await waitForHttp(`${this.baseUrl}/health`, this.server);
+  }
+
+  /**
+   * 模拟上游收到的请求日志（每行一个请求）
+   */
+  upstreamRequests(route) {
+    return this.mock.output.split('\n').filter(line => line.startsWith('[mock] ') && (!route || line.includes(route)));
+  }
+
+  async request(pathname, { method = 'POST', body, key, headers = {} } = {}) {
+    const response = await fetch(`${this.baseUrl}${pathname}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(key && { Authorization: `Bearer ${key}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      json = null;
+    }
+    return { status: response.status, headers: response.headers, text, json };
+  }
+
+  async createKey(fields = {}) {
+    const { status, json } = await this.request('/admin/keys', {
+      body: { owner: 'test', ...fields },
+      headers: { Authorization: `Bearer ${ADMIN_SECRET}` }
+    });
+    if (status !== 201 && status !== 200) throw new Error(`创建 Key 失败：${status} ${JSON.stringify(json)}`);
+    return json.key;
+  }
+
+  async stop() {
+    await Promise.all([stopProcess(this.server), stopProcess(this.mock)]);
+    fs.rmSync(this.dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 解析 SSE 响应体，返回 data 行的 JSON（[DONE] 以字符串返回）
+ */
+const parseEventStream = (text) => text
+  .split('\n')
+  .filter(line => line.startsWith('data: '))
+  .map(line => line.slice(6))
+  .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+
+module.exports = { Stack, ADMIN_SECRET, ROOT, freePort, sleep, startProcess, stopProcess, waitForHttp, parseEventStream };